@@ -1,30 +1,116 @@
 import process from "node:process";
 import { IndiekitError } from "@indiekit/error";
+import express from "express";
+import {
+  Backfeed,
+  decodeInteractionId,
+  renderMf2,
+} from "./lib/backfeed.js";
 import { Bluesky } from "./lib/bluesky.js";
+import { createCache } from "./lib/cache.js";
+import { getOAuth } from "./lib/oauth.js";
+import { getErrorStatus } from "./lib/retry.js";
+import { getSession } from "./lib/session.js";
+import { UnsupportedUrlError } from "./lib/uri.js";
 
 const defaults = {
   handle: "",
   password: process.env.BLUESKY_PASSWORD,
   profileUrl: "https://bsky.app/profile",
   serviceUrl: "https://bsky.social",
+  videoServiceUrl: "https://video.bsky.app",
+  appViewHosts: ["bsky.app", "main.bsky.dev", "deer.social"],
   includePermalink: false,
   syndicateExternalLikes: true, // Enable syndication of external likes
   syndicateExternalReposts: true, // Enable syndication of external reposts
+  threadLongPosts: false, // Split posts over 300 characters into a thread
+  threadCounters: false, // Append “1/n” counters to thread posts
+  threadEmbedPosition: "first", // Attach images/link card to first or last post
+  hashtags: false, // Add categories as hashtags: "text", "tags" or false
+  hashtagAllow: [], // Only add these categories as hashtags
+  hashtagDeny: [], // Never add these categories as hashtags
+  resolveMentions: true, // Mention people linked in content or tagged
+  mentions: {}, // Bluesky handles or DIDs keyed by person URL or name
+  updateMode: "replace", // Replace edited posts in place, or "recreate" them
+  persistSession: false, // Store session tokens in the Indiekit database
+  oauth: false, // Sign in with OAuth instead of an app password
+  oauthClientUrl: "", // Public URL of Indiekit (defaults to application URL)
+  mountPath: "/bluesky", // Path OAuth routes are mounted at
+  accounts: [], // Accounts to syndicate to, each with its own options
+  maxRetries: 3, // Retry rate-limited or failed requests this many times
+  retryMaxDelay: 60_000, // Longest wait before a retry, in milliseconds
+  dryRun: false, // Log previews of posts instead of posting them
+  backfeed: false, // Backfeed interactions: "webmention", "store" or false
+  backfeedInterval: 1_800_000, // Time between backfeed polls, in milliseconds
+  backfeedMaxAge: 30, // Only backfeed posts published in the last 30 days
+  cache: "memory", // Cache blobs and link previews: "filesystem", "mongodb" or false
+  cacheDirectory: ".cache/bluesky", // Directory used by "filesystem" cache
+  cacheMaxEntries: 1000, // Most entries kept by "memory" cache
+  blobCacheTtl: 2_592_000_000, // Time to cache uploaded blobs, in milliseconds
+  ogCacheTtl: 86_400_000, // Time to cache link previews, in milliseconds
+  ogImage: {}, // Colors, fonts, logo, layout or template of link card images
+  ownOgImage: "eleventy", // Where to find link card images of own posts
+  templates: {}, // Post text templates keyed by post type
+  articleMode: "excerpt", // Post articles as "card", "excerpt" or "thread"
+  threadPhotos: true, // Post photos after the first four as replies
+  threadPhotoCounters: false, // Add “(2/3)” counters to photo replies
+  stripImageMetadata: true, // Remove EXIF, GPS and other metadata from images
+  inlineImages: false, // Post images in content if post has no photos
   checked: false,
 };
 
 export default class BlueskySyndicator {
   name = "Bluesky syndicator";
 
+  #collections;
+  #applicationUrl;
+  #backfeed;
+  #cache;
+
   /**
    * @param {object} [options] - Plug-in options
    * @param {string} [options.profileUrl] - Profile URL
    * @param {string} [options.serviceUrl] - Service URL
+   * @param {string} [options.videoServiceUrl] - Video service URL
+   * @param {Array<string>} [options.appViewHosts] - Hosts of Bluesky web apps to accept URLs from
    * @param {string} [options.handle] - Handle
    * @param {string} [options.password] - Password
    * @param {boolean} [options.includePermalink] - Include permalink in status
    * @param {boolean} [options.syndicateExternalLikes] - Syndicate likes of external URLs as posts
    * @param {boolean} [options.syndicateExternalReposts] - Syndicate reposts of external URLs as posts
+   * @param {boolean} [options.threadLongPosts] - Split long posts into a thread instead of truncating
+   * @param {boolean} [options.threadCounters] - Append “1/n” counters to thread posts
+   * @param {string} [options.threadEmbedPosition] - Thread post to attach images/link card to (`first` or `last`)
+   * @param {string|boolean} [options.hashtags] - Add categories as hashtags in post text (`text`) or as record tags (`tags`)
+   * @param {Array<string>} [options.hashtagAllow] - Only add these categories as hashtags
+   * @param {Array<string>} [options.hashtagDeny] - Never add these categories as hashtags
+   * @param {boolean} [options.resolveMentions] - Mention people linked in content or tagged in categories
+   * @param {object} [options.mentions] - Bluesky handles or DIDs keyed by person URL or name
+   * @param {string} [options.updateMode] - Update edited posts in place (`replace`) or delete and recreate them (`recreate`)
+   * @param {boolean} [options.persistSession] - Store session tokens in database
+   * @param {boolean} [options.oauth] - Sign in with OAuth instead of an app password
+   * @param {string} [options.oauthClientUrl] - Public URL of Indiekit server
+   * @param {string} [options.mountPath] - Path OAuth routes are mounted at
+   * @param {Array<object>} [options.accounts] - Accounts (each with `handle`, `passwordEnv` and other options overriding these)
+   * @param {number} [options.maxRetries] - Maximum number of retries of failed requests
+   * @param {number} [options.retryMaxDelay] - Longest wait before a retry (milliseconds)
+   * @param {boolean} [options.dryRun] - Log previews of posts instead of posting them
+   * @param {string|boolean} [options.backfeed] - Backfeed interactions by sending webmentions (`webmention`) or storing them (`store`)
+   * @param {number} [options.backfeedInterval] - Time between backfeed polls (milliseconds)
+   * @param {number} [options.backfeedMaxAge] - Only backfeed posts published in the last this many days
+   * @param {string|object|boolean} [options.cache] - Cache uploaded blobs and link previews in `memory`, `filesystem` or `mongodb`, or a cache object with `get`, `set` and `delete` methods
+   * @param {string} [options.cacheDirectory] - Directory used by `filesystem` cache
+   * @param {number} [options.cacheMaxEntries] - Most entries kept by `memory` cache (least recently used are removed)
+   * @param {number} [options.blobCacheTtl] - Time to cache uploaded blobs (milliseconds)
+   * @param {number} [options.ogCacheTtl] - Time to cache link previews (milliseconds)
+   * @param {object} [options.ogImage] - Colors, fonts, logo, layout or template of generated link card images
+   * @param {string|Function|Array|boolean} [options.ownOgImage] - Where to find link card images of own posts: preset (`eleventy`, `featured` or `og:image`), URL template, resolver function or an array of these
+   * @param {object} [options.templates] - Post text templates keyed by post type (`note`, `article`, `photo`, `reply`, `like`, `repost`, `quote` or `bookmark`)
+   * @param {string} [options.articleMode] - Post articles as a link card only (`card`), with title and summary (`excerpt`) or in full as a thread (`thread`)
+   * @param {boolean} [options.threadPhotos] - Post photos after the first four as replies, four per reply
+   * @param {boolean} [options.threadPhotoCounters] - Add “(2/3)” counters to photo replies
+   * @param {boolean} [options.stripImageMetadata] - Remove EXIF (including GPS location) and other metadata from uploaded images
+   * @param {boolean} [options.inlineImages] - Post images embedded in content (`<img>`) if post has no photos
    * @param {boolean} [options.checked] - Check syndicator in UI
    */
   constructor(options = {}) {
@@ -39,6 +125,88 @@ export default class BlueskySyndicator {
     return new URL(this.options.serviceUrl).href;
   }
 
+  get mountPath() {
+    return this.options.mountPath;
+  }
+
+  get #retry() {
+    return {
+      maxRetries: this.options.maxRetries,
+      maxDelay: this.options.retryMaxDelay,
+    };
+  }
+
+  /**
+   * Get cache of uploaded blobs and link previews
+   * @returns {object|undefined} Cache
+   */
+  #getCache() {
+    this.#cache ??= createCache(this.options.cache, {
+      directory: this.options.cacheDirectory,
+      maxEntries: this.options.cacheMaxEntries,
+      getCollection: () => this.#collections?.get("blueskyCache"),
+    });
+
+    return this.#cache;
+  }
+
+  get #publicUrl() {
+    return this.options.oauthClientUrl || this.#applicationUrl;
+  }
+
+  get #oauth() {
+    return getOAuth({
+      handle: this.options?.handle,
+      serviceUrl: this.#serviceUrl,
+      clientUrl: this.#publicUrl,
+      mountPath: this.mountPath,
+      getCollection: (name) => this.#collections?.get(name),
+      retry: this.#retry,
+    });
+  }
+
+  get #session() {
+    if (this.options.oauth) {
+      return this.#oauth;
+    }
+
+    return getSession({
+      identifier: this.options?.handle,
+      password: this.options?.password,
+      serviceUrl: this.#serviceUrl,
+      getCollection: () =>
+        this.options.persistSession
+          ? this.#collections?.get("blueskySessions")
+          : undefined,
+      retry: this.#retry,
+    });
+  }
+
+  /**
+   * Syndicators for each configured account
+   * @returns {Array<BlueskySyndicator>} Syndicators
+   */
+  get #accounts() {
+    const { accounts, ...options } = this.options;
+
+    if (!accounts?.length) {
+      return [this];
+    }
+
+    return accounts.map((account) => {
+      const handle = account.handle?.replace("@", "");
+
+      return new BlueskySyndicator({
+        ...options,
+        password: account.passwordEnv
+          ? process.env[account.passwordEnv]
+          : options.password,
+        mountPath: `${options.mountPath}/${handle}`,
+        ...account,
+      });
+    });
+  }
+
   get #user() {
     return this.options?.handle
       ? `@${this.options.handle.replace("@", "")}`
@@ -46,7 +214,18 @@ export default class BlueskySyndicator {
   }
 
   get environment() {
-    return ["BLUESKY_PASSWORD"];
+    if (this.options.accounts?.length) {
+      const variables = this.#accounts.flatMap(
+        (account) => account.environment,
+      );
+      return [...new Set(variables)];
+    }
+
+    if (this.options.oauth) {
+      return [];
+    }
+
+    return [this.options.passwordEnv || "BLUESKY_PASSWORD"];
   }
 
   get info() {
@@ -80,34 +259,399 @@ export default class BlueskySyndicator {
       {
         type: "text",
         name: "handle",
-        message: "What is your Bluesky handle (without the @)?",
+        message: this.options.oauth
+          ? `What is your Bluesky handle (without the @)? You’ll authorize Indiekit at ${this.mountPath}/authorize`
+          : "What is your Bluesky handle (without the @)?",
       },
     ];
   }
 
+  get routesPublic() {
+    if (!this.options.oauth && !this.options.backfeed) {
+      return;
+    }
+
+    const router = express.Router();
+
+    if (this.options.oauth) {
+      router.get("/client-metadata.json", (request, response, next) => {
+        try {
+          response.json(this.#oauth.clientMetadata);
+        } catch (error) {
+          next(error);
+        }
+      });
+    }
+
+    if (this.options.backfeed) {
+      // Webmention source for a backfed interaction
+      router.get("/backfeed/:id", async (request, response, next) => {
+        try {
+          const id = decodeInteractionId(request.params.id);
+          const mf2 = await this.#getBackfeed().getInteraction(id);
+          if (!mf2) {
+            return response.sendStatus(404);
+          }
+
+          response.type("html").send(renderMf2(mf2));
+        } catch (error) {
+          next(error);
+        }
+      });
+
+      // Backfed interactions with a post, as Microformats2 JSON
+      router.get("/interactions", async (request, response, next) => {
+        try {
+          const { target } = request.query;
+          const items = target
+            ? await this.#getBackfeed().getInteractions(target)
+            : [];
+          response.json({ items });
+        } catch (error) {
+          next(error);
+        }
+      });
+    }
+
+    return router;
+  }
+
+  get routes() {
+    const router = express.Router();
+
+    router.get("/preview", async (request, response, next) => {
+      try {
+        const { url } = request.query;
+        const postsCollection = this.#collections?.get("posts");
+        const post =
+          url &&
+          (await postsCollection?.findOne({
+            "properties.url": {
+              $in: [url, url.replace(/\/$/, ""), `${url}/`],
+            },
+          }));
+
+        if (!post) {
+          throw new IndiekitError(`No post found with URL ${url}`, {
+            plugin: this.name,
+            status: 404,
+          });
+        }
+
+        const { publication } = request.app.locals;
+        const preview = await this.#bluesky.preview(
+          post.properties,
+          publication?.me,
+        );
+        response.json(preview);
+      } catch (error) {
+        next(
+          new IndiekitError(error.message, {
+            cause: error,
+            plugin: this.name,
+            status: getErrorStatus(error),
+          }),
+        );
+      }
+    });
+
+    if (!this.options.oauth) {
+      return router;
+    }
+
+    router.get("/authorize", async (request, response, next) => {
+      try {
+        const authorizationUrl = await this.#oauth.authorize();
+        response.redirect(authorizationUrl.href);
+      } catch (error) {
+        next(
+          new IndiekitError(error.message, {
+            cause: error,
+            plugin: this.name,
+            status: getErrorStatus(error),
+          }),
+        );
+      }
+    });
+
+    router.get("/callback", async (request, response, next) => {
+      try {
+        await this.#oauth.callback(new URLSearchParams(request.query));
+        response.redirect("/");
+      } catch (error) {
+        next(
+          new IndiekitError(error.message, {
+            cause: error,
+            plugin: this.name,
+            status: getErrorStatus(error) || 400,
+          }),
+        );
+      }
+    });
+
+    return router;
+  }
+
+  get #bluesky() {
+    return new Bluesky({
+      identifier: this.options?.handle,
+      password: this.options?.password,
+      profileUrl: this.#profileUrl,
+      serviceUrl: this.#serviceUrl,
+      videoServiceUrl: this.options.videoServiceUrl,
+      appViewHosts: this.options.appViewHosts,
+      session: this.#session,
+      cache: this.#getCache(),
+      ogCacheTtl: this.options.ogCacheTtl,
+      blobCacheTtl: this.options.blobCacheTtl,
+      ogImage: this.options.ogImage,
+      ownOgImage: this.options.ownOgImage,
+      templates: this.options.templates,
+      articleMode: this.options.articleMode,
+      threadPhotos: this.options.threadPhotos,
+      threadPhotoCounters: this.options.threadPhotoCounters,
+      stripImageMetadata: this.options.stripImageMetadata,
+      inlineImages: this.options.inlineImages,
+      postsCollection: this.#collections?.get("posts"),
+      includePermalink: this.options.includePermalink,
+      syndicateExternalLikes: this.options.syndicateExternalLikes,
+      syndicateExternalReposts: this.options.syndicateExternalReposts,
+      threadLongPosts: this.options.threadLongPosts,
+      threadCounters: this.options.threadCounters,
+      threadEmbedPosition: this.options.threadEmbedPosition,
+      hashtags: this.options.hashtags,
+      hashtagAllow: this.options.hashtagAllow,
+      hashtagDeny: this.options.hashtagDeny,
+      resolveMentions: this.options.resolveMentions,
+      mentions: this.options.mentions,
+      retry: this.#retry,
+    });
+  }
+
   async syndicate(properties, publication) {
     try {
-      const bluesky = new Bluesky({
-        identifier: this.options?.handle,
-        password: this.options?.password,
-        profileUrl: this.#profileUrl,
-        serviceUrl: this.#serviceUrl,
-        includePermalink: this.options.includePermalink,
-        syndicateExternalLikes: this.options.syndicateExternalLikes,
-        syndicateExternalReposts: this.options.syndicateExternalReposts,
+      if (this.options.dryRun) {
+        return await this.#dryRun(properties, publication);
+      }
+
+      return await this.#bluesky.post(properties, publication.me);
+    } catch (error) {
+      throw new IndiekitError(error.message, {
+        cause: error,
+        plugin: this.name,
+        status: getErrorStatus(error),
       });
+    }
+  }
 
-      return await bluesky.post(properties, publication.me);
+  /**
+   * Update syndicated copy of an edited post
+   * @param {object} properties - JF2 properties
+   * @param {object} publication - Publication configuration
+   * @returns {Promise<string|boolean>} URL of syndicated status
+   */
+  async update(properties, publication) {
+    let syndicationUrl;
+    try {
+      for (const url of [properties.syndication || []].flat()) {
+        if (await this.#isOwnUrl(url)) {
+          syndicationUrl = url;
+          break;
+        }
+      }
     } catch (error) {
       throw new IndiekitError(error.message, {
         cause: error,
         plugin: this.name,
-        status: error.statusCode,
+        status: getErrorStatus(error),
       });
     }
+
+    // Not syndicated to this Bluesky account yet
+    if (!syndicationUrl) {
+      return this.syndicate(properties, publication);
+    }
+
+    try {
+      if (this.options.dryRun) {
+        await this.#dryRun(properties, publication);
+        return syndicationUrl;
+      }
+
+      return await this.#bluesky.update(
+        syndicationUrl,
+        properties,
+        publication.me,
+        { recreate: this.options.updateMode === "recreate" },
+      );
+    } catch (error) {
+      throw new IndiekitError(error.message, {
+        cause: error,
+        plugin: this.name,
+        status: getErrorStatus(error),
+      });
+    }
+  }
+
+  /**
+   * Delete syndicated copy of a post
+   * @param {string} syndicationUrl - URL of syndicated post, like or repost
+   * @returns {Promise<boolean>} Syndicated copy was deleted
+   */
+  async delete(syndicationUrl) {
+    try {
+      // Ignore URLs syndicated to other services or accounts
+      if (!(await this.#isOwnUrl(syndicationUrl))) {
+        return false;
+      }
+
+      if (this.options.dryRun) {
+        console.log(`[Bluesky] Dry run: would delete ${syndicationUrl}`);
+        return false;
+      }
+
+      return await this.#bluesky.delete(syndicationUrl);
+    } catch (error) {
+      throw new IndiekitError(error.message, {
+        cause: error,
+        plugin: this.name,
+        status: getErrorStatus(error),
+      });
+    }
+  }
+
+  /**
+   * Log preview of post instead of posting it
+   * @param {object} properties - JF2 properties
+   * @param {object} publication - Publication configuration
+   * @returns {Promise<undefined>} Nothing is syndicated
+   */
+  async #dryRun(properties, publication) {
+    const preview = await this.#bluesky.preview(properties, publication.me);
+    const json = JSON.stringify(
+      preview,
+      (key, value) => (key === "dataUrl" ? undefined : value),
+      2,
+    );
+    console.log(`[Bluesky] Dry run for ${properties.url}:\n${json}`);
+  }
+
+  /**
+   * Get backfeed (created on first use, once database collections exist)
+   * @returns {Backfeed} Backfeed
+   */
+  #getBackfeed() {
+    const postsCollection = this.#collections?.get("posts");
+    const collection = this.#collections?.get("blueskyInteractions");
+    if (!postsCollection || !collection) {
+      throw new Error("Backfeed needs a database");
+    }
+
+    const mode = this.options.backfeed === "store" ? "store" : "webmention";
+    if (mode === "webmention" && !this.#publicUrl) {
+      throw new Error(
+        "Backfeed by webmention needs the public URL of your Indiekit server. Set `application.url` in your Indiekit configuration, or the `oauthClientUrl` plug-in option.",
+      );
+    }
+
+    this.#backfeed ||= new Backfeed({
+      bluesky: this.#bluesky,
+      profileUrl: this.#profileUrl,
+      postsCollection,
+      collection,
+      mode,
+      sourceUrl:
+        this.#publicUrl &&
+        new URL(`${this.mountPath}/backfeed`, this.#publicUrl).href,
+      maxAge: this.options.backfeedMaxAge,
+    });
+
+    return this.#backfeed;
+  }
+
+  /**
+   * Poll Bluesky for interactions with syndicated posts at regular intervals
+   */
+  #scheduleBackfeed() {
+    const poll = async () => {
+      try {
+        const delivered = await this.#getBackfeed().poll();
+        if (delivered > 0) {
+          console.log(`[Bluesky] Backfed ${delivered} interactions`);
+        }
+      } catch (error) {
+        console.warn(`[Bluesky] Backfeed failed: ${error.message}`);
+      }
+    };
+
+    // First poll once Indiekit has started
+    setTimeout(poll, 60_000).unref();
+    setInterval(poll, this.options.backfeedInterval).unref();
+  }
+
+  /**
+   * Check if URL was syndicated to this account
+   * @param {string} url - Syndication URL
+   * @returns {Promise<boolean>} URL is a record of this account
+   */
+  async #isOwnUrl(url) {
+    if (!url?.startsWith(this.#profileUrl)) {
+      return false;
+    }
+
+    try {
+      return await this.#bluesky.isOwnRecord(url);
+    } catch (error) {
+      // Not a record, like a profile link
+      if (error instanceof UnsupportedUrlError) {
+        return false;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Syndicate a post again after it has been undeleted
+   * @param {object} properties - JF2 properties
+   * @param {object} publication - Publication configuration
+   * @returns {Promise<string|boolean>} URL of syndicated status
+   */
+  async undelete(properties, publication) {
+    return this.syndicate(properties, publication);
   }
 
   init(Indiekit) {
-    Indiekit.addSyndicator(this);
+    const accounts = this.#accounts;
+
+    if (accounts.some((account) => account.options.persistSession)) {
+      Indiekit.addCollection("blueskySessions");
+    }
+
+    if (accounts.some((account) => account.options.oauth)) {
+      Indiekit.addCollection("blueskyOAuthStates");
+      Indiekit.addCollection("blueskyOAuthSessions");
+    }
+
+    if (accounts.some((account) => account.options.backfeed)) {
+      Indiekit.addCollection("blueskyInteractions");
+    }
+
+    if (accounts.some((account) => account.options.cache === "mongodb")) {
+      Indiekit.addCollection("blueskyCache");
+    }
+
+    // Register a syndication target for each account
+    for (const account of accounts) {
+      account.#collections = Indiekit.collections;
+      account.#applicationUrl = Indiekit.config?.application?.url;
+
+      Indiekit.addEndpoint(account);
+      Indiekit.addSyndicator(account);
+
+      if (account.options.backfeed) {
+        account.#scheduleBackfeed();
+      }
+    }
   }
 }
@@ -0,0 +1,284 @@
+import { Buffer } from "node:buffer";
+
+import { escapeXml } from "./utils.js";
+import { sendWebmention } from "./webmention.js";
+
+/**
+ * Microformats2 properties linking interactions to the post they are about
+ */
+const TARGET_PROPERTIES = {
+  like: "like-of",
+  quote: "mention-of",
+  reply: "in-reply-to",
+  repost: "repost-of",
+};
+
+/**
+ * Most recent posts to backfeed on each poll
+ */
+const MAX_POSTS = 200;
+
+/**
+ * Margin for publication dates stored with time zone offsets, which compare
+ * as strings by local time, in milliseconds
+ */
+const TIME_ZONE_MARGIN = 24 * 60 * 60 * 1000;
+
+/**
+ * Get ID used in source page URL of an interaction
+ * @param {string} id - Interaction ID
+ * @returns {string} URL-safe ID
+ */
+export const encodeInteractionId = (id) =>
+  Buffer.from(id).toString("base64url");
+
+/**
+ * Get interaction ID from source page URL
+ * @param {string} encodedId - URL-safe ID
+ * @returns {string} Interaction ID
+ */
+export const decodeInteractionId = (encodedId) =>
+  Buffer.from(encodedId, "base64url").toString();
+
+/**
+ * Convert Bluesky interaction to Microformats2
+ * @param {object} interaction - Interaction (from `Bluesky.getInteractions`)
+ * @param {string} target - URL of post on own website
+ * @param {string} syndicationUrl - URL of post on Bluesky
+ * @returns {object} Microformats2 h-entry
+ */
+export const interactionToMf2 = (interaction, target, syndicationUrl) => {
+  const { author, published, text, type, url } = interaction;
+
+  return {
+    type: ["h-entry"],
+    properties: {
+      author: [
+        {
+          type: ["h-card"],
+          properties: {
+            name: [author.name],
+            nickname: [author.handle],
+            url: [author.url],
+            ...(author.photo && { photo: [author.photo] }),
+          },
+        },
+      ],
+      url: [url],
+      ...(published && { published: [published] }),
+      ...(text && { content: [{ value: text, html: escapeXml(text) }] }),
+      [TARGET_PROPERTIES[type]]: [target, syndicationUrl],
+    },
+  };
+};
+
+/**
+ * Render Microformats2 h-entry as HTML (for use as webmention source)
+ * @param {object} mf2 - Microformats2 h-entry
+ * @returns {string} HTML
+ */
+export const renderMf2 = (mf2) => {
+  const { author, content, published, url, ...properties } = mf2.properties;
+  const card = author[0].properties;
+  const [targetProperty, targets] = Object.entries(properties)[0];
+  const name = escapeXml(card.name[0]);
+  const link = (className, href, text) =>
+    `<a class="${className}" href="${escapeXml(href)}">${text}</a>`;
+
+  const photo = card.photo
+    ? `<img class="u-photo" src="${escapeXml(card.photo[0])}" alt=""> `
+    : "";
+  const date = published
+    ? `<time class="dt-published" datetime="${escapeXml(published[0])}">${escapeXml(published[0])}</time>`
+    : escapeXml(url[0]);
+
+  return [
+    `<!doctype html>`,
+    `<html>`,
+    `<head><meta charset="utf-8"><title>${name}</title></head>`,
+    `<body>`,
+    `<article class="h-entry">`,
+    link(
+      "p-author h-card",
+      card.url[0],
+      `${photo}<span class="p-name">${name}</span>`,
+    ),
+    ...(content ? [`<div class="e-content">${content[0].html}</div>`] : []),
+    ...targets.map((target) =>
+      link(`u-${targetProperty}`, target, escapeXml(target)),
+    ),
+    link("u-url", url[0], date),
+    `</article>`,
+    `</body>`,
+    `</html>`,
+  ].join("\n");
+};
+
+/**
+ * Backfeeds interactions with syndicated posts to the posts they copy
+ */
+export class Backfeed {
+  #polling = false;
+
+  /**
+   * @param {object} options - Backfeed options
+   * @param {import("./bluesky.js").Bluesky} options.bluesky - Bluesky client
+   * @param {string} options.profileUrl - Profile URL
+   * @param {object} options.postsCollection - Database collection of publication posts
+   * @param {object} options.collection - Database collection of interactions
+   * @param {string} [options.mode] - Send webmentions (`webmention`) or only store interactions (`store`)
+   * @param {string} [options.sourceUrl] - URL that webmention source pages are served from
+   * @param {number} [options.maxAge] - Only backfeed posts published in the last this many days
+   */
+  constructor(options) {
+    this.bluesky = options.bluesky;
+    this.profileUrl = options.profileUrl;
+    this.postsCollection = options.postsCollection;
+    this.collection = options.collection;
+    this.mode = options.mode || "webmention";
+    this.sourceUrl = options.sourceUrl;
+    this.maxAge = options.maxAge || 30;
+  }
+
+  /**
+   * Get own posts syndicated to Bluesky within the maximum age, most recent
+   * first
+   * @access private
+   * @returns {Promise<Array<{target: string, syndicationUrl: string}>>} Posts
+   */
+  async #getPosts() {
+    const since = Date.now() - this.maxAge * 24 * 60 * 60 * 1000;
+    const profileUrl = this.profileUrl.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const posts = await this.postsCollection
+      .find({
+        "properties.url": { $exists: true },
+        "properties.published": {
+          $gte: new Date(since - TIME_ZONE_MARGIN).toISOString(),
+        },
+        "properties.syndication": { $regex: `^${profileUrl}` },
+      })
+      .project({
+        "properties.url": 1,
+        "properties.published": 1,
+        "properties.syndication": 1,
+      })
+      .sort({ "properties.published": -1 })
+      .limit(MAX_POSTS)
+      .toArray();
+
+    const syndicated = [];
+    for (const { properties } of posts) {
+      if (!properties.url || !(Date.parse(properties.published) >= since)) {
+        continue;
+      }
+
+      for (const syndicationUrl of [properties.syndication].flat()) {
+        if (
+          syndicationUrl.startsWith(this.profileUrl) &&
+          syndicationUrl.includes("/post/") &&
+          (await this.bluesky.isOwnRecord(syndicationUrl))
+        ) {
+          syndicated.push({ target: properties.url, syndicationUrl });
+        }
+      }
+    }
+
+    return syndicated;
+  }
+
+  /**
+   * Deliver an interaction, unless it has been delivered before
+   * @access private
+   * @param {object} interaction - Interaction
+   * @param {string} target - URL of post on own website
+   * @param {string} syndicationUrl - URL of post on Bluesky
+   * @returns {Promise<boolean>} Interaction was delivered
+   */
+  async #deliver(interaction, target, syndicationUrl) {
+    const _id = `${interaction.id}|${target}`;
+    const stored = await this.collection.findOne({ _id });
+    if (stored?.delivered) {
+      return false;
+    }
+
+    const mf2 = interactionToMf2(interaction, target, syndicationUrl);
+    await this.collection.updateOne(
+      { _id },
+      {
+        $set: { target, type: interaction.type, mf2 },
+        $setOnInsert: { received: new Date().toISOString() },
+      },
+      { upsert: true },
+    );
+
+    // Interaction is kept undelivered (and retried) if webmention fails
+    if (this.mode === "webmention") {
+      const source = `${this.sourceUrl}/${encodeInteractionId(_id)}`;
+      await sendWebmention(source, target);
+    }
+
+    await this.collection.updateOne(
+      { _id },
+      { $set: { delivered: new Date().toISOString() } },
+    );
+    return true;
+  }
+
+  /**
+   * Get stored interaction
+   * @param {string} id - Interaction ID
+   * @returns {Promise<object|undefined>} Microformats2 h-entry
+   */
+  async getInteraction(id) {
+    const stored = await this.collection.findOne({ _id: id });
+    return stored?.mf2;
+  }
+
+  /**
+   * Get stored interactions with a post
+   * @param {string} target - URL of post on own website
+   * @returns {Promise<Array<object>>} Microformats2 h-entries
+   */
+  async getInteractions(target) {
+    const stored = await this.collection
+      .find({ target, delivered: { $exists: true } })
+      .toArray();
+    return stored.map(({ mf2 }) => mf2);
+  }
+
+  /**
+   * Fetch new interactions with syndicated posts and deliver them
+   * @returns {Promise<number>} Number of interactions delivered
+   */
+  async poll() {
+    if (this.#polling) {
+      return 0;
+    }
+
+    this.#polling = true;
+    let delivered = 0;
+
+    try {
+      for (const { target, syndicationUrl } of await this.#getPosts()) {
+        try {
+          const interactions =
+            await this.bluesky.getInteractions(syndicationUrl);
+
+          for (const interaction of interactions) {
+            if (await this.#deliver(interaction, target, syndicationUrl)) {
+              delivered++;
+            }
+          }
+        } catch (error) {
+          console.warn(
+            `[Bluesky] Failed to backfeed ${syndicationUrl}: ${error.message}`,
+          );
+        }
+      }
+    } finally {
+      this.#polling = false;
+    }
+
+    return delivered;
+  }
+}
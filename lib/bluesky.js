@@ -1,68 +1,219 @@
-import { AtpAgent } from "@atproto/api";
+import { Buffer } from "node:buffer";
+import { setTimeout } from "node:timers/promises";
+import { jsonToLex, lexToJson } from "@atproto/api";
+import { TID } from "@atproto/common-web";
 import { getCanonicalUrl, isSameOrigin } from "@indiekit/util";
 
+import { isBlobNotFound, sha256 } from "./cache.js";
+import { processImage } from "./image.js";
+import { normalizePersonUrl, resolveMention } from "./mentions.js";
+import { generateDefaultOgImage } from "./og-image.js";
+import { getOwnOgImageUrls } from "./og-lookup.js";
+import { describePreview } from "./preview.js";
+import { withRetry } from "./retry.js";
+import { getSession } from "./session.js";
+import {
+  getArticleSummary,
+  getArticleTemplate,
+  getPostType,
+  getTemplateValues,
+  renderTemplate,
+  templateUses,
+} from "./template.js";
+import {
+  DEFAULT_APPVIEW_HOSTS,
+  isBlueskyUrl,
+  parseProfileUrl,
+  resolveRecordUrl,
+} from "./uri.js";
+import { checkVideoLimits, getVideoMetadata } from "./video.js";
+
 import {
   createRichText,
-  getPostImage,
   getPostText,
   getLikePostText,
   getRepostPostText,
   getBookmarkPostText,
   buildPostText,
-  getPostParts,
   uriToPostUrl,
   fetchOpenGraphData,
+  fetchSyndicationUrls,
   getExternalUrl,
-  generateDefaultOgImage,
+  getContentImages,
   extractHtmlLinks,
   buildLinkFacets,
+  getLinkRanges,
+  linkRangesToFacets,
+  shortenLongUrls,
+  sliceLinkRanges,
+  splitTextIntoThread,
+  getHashtags,
+  appendHashtags,
+  appendMentions,
 } from "./utils.js";
 
+/**
+ * Longest time between creation of a post and of the replies following it
+ * (thread posts and photo replies), in milliseconds
+ */
+const FOLLOW_UP_WINDOW = 10 * 60 * 1000;
+
 export class Bluesky {
+  /**
+   * Records and blobs collected instead of being written, during a dry run
+   */
+  #preview;
+
+  /**
+   * Cache keys of blobs reused for post being created, and number of records
+   * written for it (to know if a post can be retried after a blob expired)
+   */
+  #reusedBlobs = [];
+  #written = 0;
+
+  /**
+   * Replies following the post being updated (thread posts and photo
+   * replies), to be replaced in place by its new replies
+   */
+  #followUps = [];
+
   /**
    * @param {object} options - Syndicator options
    * @param {string} options.identifier - User identifier
    * @param {string} options.password - Password
    * @param {string} options.profileUrl - Profile URL
    * @param {string} options.serviceUrl - Service URL
+   * @param {string} [options.videoServiceUrl] - Video service URL
+   * @param {Array<string>} [options.appViewHosts] - Hosts of Bluesky web apps to accept URLs from
+   * @param {import("./session.js").Session|import("./oauth.js").OAuth} [options.session] - Shared password or OAuth session
+   * @param {object} [options.postsCollection] - Database collection of publication posts
    * @param {boolean} [options.includePermalink] - Include permalink in status
    * @param {boolean} [options.syndicateExternalLikes] - Syndicate likes of external URLs
    * @param {boolean} [options.syndicateExternalReposts] - Syndicate reposts of external URLs
+   * @param {boolean} [options.threadLongPosts] - Split long posts into a thread
+   * @param {boolean} [options.threadCounters] - Append “1/n” counters to thread posts
+   * @param {string} [options.threadEmbedPosition] - Thread post to attach embed to (`first` or `last`)
+   * @param {string|boolean} [options.hashtags] - Add categories as hashtags (`text`, `tags` or false)
+   * @param {Array<string>} [options.hashtagAllow] - Only add these categories as hashtags
+   * @param {Array<string>} [options.hashtagDeny] - Never add these categories as hashtags
+   * @param {boolean} [options.resolveMentions] - Mention people linked in content or tagged
+   * @param {object} [options.mentions] - Bluesky handles or DIDs keyed by person URL or name
+   * @param {object} [options.retry] - Retry options (`maxRetries`, `maxDelay`)
+   * @param {object} [options.cache] - Cache for OpenGraph data and blob references
+   * @param {number} [options.ogCacheTtl] - Time to cache OpenGraph data for (milliseconds)
+   * @param {number} [options.blobCacheTtl] - Time to cache blob references for (milliseconds)
+   * @param {object} [options.ogImage] - Colors, fonts, logo, layout or template of generated link card images
+   * @param {string|Function|Array|boolean} [options.ownOgImage] - Where to find link card images of own posts
+   * @param {object} [options.templates] - Post text templates keyed by post type
+   * @param {string} [options.articleMode] - How to post articles (`card`, `excerpt` or `thread`)
+   * @param {boolean} [options.threadPhotos] - Post photos after the first four as replies
+   * @param {boolean} [options.threadPhotoCounters] - Add “(2/3)” counters to photo replies
+   * @param {boolean} [options.stripImageMetadata] - Remove EXIF, GPS and other metadata from images
+   * @param {boolean} [options.inlineImages] - Post images in content if post has no photos
    */
   constructor(options) {
     this.identifier = options.identifier;
     this.password = options.password;
     this.profileUrl = options.profileUrl;
     this.serviceUrl = options.serviceUrl;
+    this.videoServiceUrl = options.videoServiceUrl || "https://video.bsky.app";
+    this.appViewHosts = [
+      ...new Set([
+        new URL(options.profileUrl).hostname,
+        ...(options.appViewHosts || DEFAULT_APPVIEW_HOSTS),
+      ]),
+    ];
+    this.session =
+      options.session ||
+      getSession({
+        identifier: options.identifier,
+        password: options.password,
+        serviceUrl: options.serviceUrl,
+        retry: options.retry,
+      });
+    this.retry = options.retry;
+    this.cache = options.cache;
+    this.ogCacheTtl = options.ogCacheTtl || 24 * 60 * 60 * 1000;
+    this.blobCacheTtl = options.blobCacheTtl || 30 * 24 * 60 * 60 * 1000;
+    this.postsCollection = options.postsCollection;
     this.includePermalink = options.includePermalink || false;
     this.syndicateExternalLikes = options.syndicateExternalLikes !== false; // Default true
     this.syndicateExternalReposts = options.syndicateExternalReposts !== false; // Default true
+    this.threadLongPosts = options.threadLongPosts || false;
+    this.threadCounters = options.threadCounters || false;
+    this.threadEmbedPosition = options.threadEmbedPosition || "first";
+    this.hashtags = options.hashtags || false;
+    this.hashtagAllow = options.hashtagAllow || [];
+    this.hashtagDeny = options.hashtagDeny || [];
+    this.resolveMentions = options.resolveMentions !== false; // Default true
+    this.mentions = options.mentions || {};
+    this.ogImage = options.ogImage || {};
+    this.ownOgImage = options.ownOgImage ?? "eleventy";
+    this.templates = options.templates || {};
+    this.articleMode = options.articleMode || "excerpt";
+    this.threadPhotos = options.threadPhotos !== false; // Default true
+    this.threadPhotoCounters = options.threadPhotoCounters || false;
+    this.stripImageMetadata = options.stripImageMetadata !== false; // Default true
+    this.inlineImages = options.inlineImages || false;
   }
 
   /**
-   * Initialise AT Protocol client
+   * Get authenticated AT Protocol client (shared between calls)
    * @access private
-   * @returns {Promise<AtpAgent>} AT Protocol agent
+   * @returns {Promise<import("@atproto/api").AtpAgent>} AT Protocol agent
    */
   async #client() {
-    const { identifier, password, serviceUrl } = this;
-    const agent = new AtpAgent({ service: serviceUrl });
-    await agent.login({ identifier, password });
-    return agent;
+    return this.session.getAgent();
+  }
+
+  /**
+   * Check if URL is a Bluesky web app URL or AT URI
+   * @access private
+   * @param {string} url - URL
+   * @returns {boolean} URL is a Bluesky URL
+   */
+  #isBlueskyUrl(url) {
+    return isBlueskyUrl(url, this.appViewHosts);
+  }
+
+  /**
+   * Resolve Bluesky web app URL or AT URI to a record
+   * @access private
+   * @param {string} url - Web app URL or AT URI
+   * @param {string|Array<string>} [collection] - Expected collection(s)
+   * @returns {Promise<object>} Record DID, collection, key and AT URI
+   */
+  async #resolveRecordUrl(url, collection) {
+    const client = await this.#client();
+    return resolveRecordUrl(client, url, {
+      hosts: this.appViewHosts,
+      collection,
+    });
+  }
+
+  /**
+   * Check if a Bluesky URL identifies a record in this account’s repository
+   * @param {string} url - Web app URL or AT URI
+   * @returns {Promise<boolean>} Record belongs to this account
+   */
+  async isOwnRecord(url) {
+    const client = await this.#client();
+    const { did } = await this.#resolveRecordUrl(url);
+    return did === client.did;
   }
 
   /**
    * Get a post
-   * @param {string} postUrl - URL of post to like
+   * @param {string} postUrl - Bluesky web app URL or AT URI of post
    * @returns {Promise<object>} Bluesky post record
    */
   async getPost(postUrl) {
     const client = await this.#client();
-    const postParts = getPostParts(postUrl);
-    return await client.getPost({
-      repo: postParts.did,
-      rkey: postParts.rkey,
-    });
+    const { did, rkey } = await this.#resolveRecordUrl(
+      postUrl,
+      "app.bsky.feed.post",
+    );
+    return await client.getPost({ repo: did, rkey });
   }
 
   /**
@@ -87,15 +238,213 @@ export class Bluesky {
     return { root, parent };
   }
 
+  /**
+   * Find stored post on own website
+   * @access private
+   * @param {string} postUrl - URL of post on own website
+   * @returns {Promise<object|undefined>} JF2 properties
+   */
+  async #findPost(postUrl) {
+    if (!this.postsCollection) {
+      return;
+    }
+
+    try {
+      const urls = [postUrl, postUrl.replace(/\/$/, ""), `${postUrl}/`];
+      const post = await this.postsCollection.findOne({
+        "properties.url": { $in: urls },
+      });
+      return post?.properties;
+    } catch (error) {
+      console.error(`Failed to find post ${postUrl}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find Bluesky copy of a post on own website
+   * Looks in stored post data first, then at the post’s syndication links
+   * @param {string} postUrl - URL of post on own website
+   * @returns {Promise<string|undefined>} Bluesky post URL
+   */
+  async findSyndicatedCopy(postUrl) {
+    const isBlueskyPost = (url) =>
+      this.#isBlueskyUrl(url) && url.includes("/post/");
+
+    const properties = await this.#findPost(postUrl);
+    const storedSyndication = [properties?.syndication || []].flat();
+    const syndicatedUrl = storedSyndication.find((url) => isBlueskyPost(url));
+    if (syndicatedUrl) {
+      return syndicatedUrl;
+    }
+
+    const syndication = await fetchSyndicationUrls(postUrl);
+    return syndication.find((url) => isBlueskyPost(url));
+  }
+
+  /**
+   * Get all pages of a paginated list
+   * @access private
+   * @param {Function} getPage - Get page of results, given a cursor
+   * @param {string} key - Property of response data with list items
+   * @returns {Promise<Array>} List items
+   */
+  async #paginate(getPage, key) {
+    const items = [];
+    let cursor;
+
+    // Stop after 1,000 items
+    for (let page = 0; page < 10; page++) {
+      const { data } = await getPage({ limit: 100, cursor });
+      items.push(...(data[key] || []));
+      cursor = data.cursor;
+      if (!cursor) break;
+    }
+
+    return items;
+  }
+
+  /**
+   * Get replies, likes, reposts and quotes of a post by other people
+   * @param {string} postUrl - Bluesky web app URL or AT URI of post
+   * @returns {Promise<Array<object>>} Interactions
+   */
+  async getInteractions(postUrl) {
+    const client = await this.#client();
+    const { uri } = await this.#resolveRecordUrl(postUrl, "app.bsky.feed.post");
+    const url = uriToPostUrl(this.profileUrl, uri);
+
+    const getAuthor = (actor) => ({
+      did: actor.did,
+      handle: actor.handle,
+      name: actor.displayName || actor.handle,
+      photo: actor.avatar,
+      url: `${this.profileUrl}/${actor.handle}`,
+    });
+
+    const fromPost = (type) => (post) => ({
+      id: post.uri,
+      type,
+      url: uriToPostUrl(this.profileUrl, post.uri),
+      author: getAuthor(post.author),
+      published: post.record?.createdAt || post.indexedAt,
+      text: post.record?.text,
+    });
+
+    const { data } = await client.app.bsky.feed.getPostThread({
+      uri,
+      depth: 1,
+      parentHeight: 0,
+    });
+    const replies = (data.thread.replies || [])
+      .map((reply) => reply.post)
+      .filter(Boolean)
+      .map(fromPost("reply"));
+
+    const likes = await this.#paginate(
+      (parameters) => client.app.bsky.feed.getLikes({ uri, ...parameters }),
+      "likes",
+    );
+    const reposts = await this.#paginate(
+      (parameters) =>
+        client.app.bsky.feed.getRepostedBy({ uri, ...parameters }),
+      "repostedBy",
+    );
+    const quotes = await this.#paginate(
+      (parameters) => client.app.bsky.feed.getQuotes({ uri, ...parameters }),
+      "posts",
+    );
+
+    const interactions = [
+      ...replies,
+      ...likes.map(({ actor, createdAt }) => ({
+        id: `${uri}#liked_by_${actor.did}`,
+        type: "like",
+        url: `${url}#liked_by_${actor.did}`,
+        author: getAuthor(actor),
+        published: createdAt,
+      })),
+      ...reposts.map((actor) => ({
+        id: `${uri}#reposted_by_${actor.did}`,
+        type: "repost",
+        url: `${url}#reposted_by_${actor.did}`,
+        author: getAuthor(actor),
+      })),
+      ...quotes.map(fromPost("quote")),
+    ];
+
+    // Ignore own replies (for example, later posts in a thread)
+    return interactions.filter(({ author }) => author.did !== client.did);
+  }
+
+  /**
+   * Resolve people linked in content or tagged in categories to mentions
+   * @access private
+   * @param {import("@atproto/api").AtpAgent} client - AT Protocol agent
+   * @param {object} properties - JF2 properties
+   * @param {Array<object>} links - Links from HTML content
+   * @returns {Promise<{links: Array<object>, handles: Array<string>}>} Links (with DIDs for people) and handles of tagged people not linked in content
+   */
+  async #resolvePeople(client, properties, links) {
+    if (!this.resolveMentions) {
+      return { links, handles: [] };
+    }
+
+    const options = { lookup: this.mentions, hosts: this.appViewHosts };
+    const personTags = [properties.category || []]
+      .flat()
+      .filter((category) => /^https?:\/\//.test(category))
+      .map((url) => normalizePersonUrl(url));
+
+    const isPerson = (url) => {
+      const key = normalizePersonUrl(url);
+      return (
+        personTags.includes(key) ||
+        Boolean(this.mentions[url] || this.mentions[key]) ||
+        Boolean(parseProfileUrl(url, this.appViewHosts))
+      );
+    };
+
+    const resolvedLinks = await Promise.all(
+      links.map(async (link) => {
+        if (!link.hCard && !isPerson(link.url)) {
+          return link;
+        }
+
+        const did = await resolveMention(client, link.url, options);
+        return did ? { ...link, did } : link;
+      }),
+    );
+
+    // Tagged people not linked in content are mentioned by handle
+    const linked = new Set(links.map((link) => normalizePersonUrl(link.url)));
+    const handles = [];
+    for (const url of personTags) {
+      if (linked.has(url)) continue;
+
+      const did = await resolveMention(client, url, options);
+      if (!did) continue;
+
+      try {
+        const { data } = await client.getProfile({ actor: did });
+        handles.push(data.handle);
+      } catch (error) {
+        console.warn(`[Bluesky] Failed to get profile ${did}: ${error.message}`);
+      }
+    }
+
+    return { links: resolvedLinks, handles };
+  }
+
   /**
    * Post a like
    * @param {string} postUrl - URL of post to like
    * @returns {Promise<string>} Bluesky post URL
    */
   async postLike(postUrl) {
-    const client = await this.#client();
     const post = await this.getPost(postUrl);
-    const like = await client.like(post.uri, post.cid);
+    const like = await this.#createRecord("app.bsky.feed.like", {
+      subject: { uri: post.uri, cid: post.cid },
+    });
     return uriToPostUrl(this.profileUrl, like.uri);
   }
 
@@ -105,21 +454,145 @@ export class Bluesky {
    * @returns {Promise<string>} Bluesky post URL
    */
   async postRepost(postUrl) {
-    const client = await this.#client();
     const post = await this.getPost(postUrl);
-    const repost = await client.repost(post.uri, post.cid);
+    const repost = await this.#createRecord("app.bsky.feed.repost", {
+      subject: { uri: post.uri, cid: post.cid },
+    });
     return uriToPostUrl(this.profileUrl, repost.uri);
   }
 
+  /**
+   * Create a record, or replace an existing one.
+   * Uses a record key chosen in advance, so that if the request is retried
+   * after a failure the record is written once, not duplicated.
+   * @access private
+   * @param {string} collection - Record collection
+   * @param {object} record - Record
+   * @param {object} [options] - Options
+   * @param {string} [options.rkey] - Key of record to replace
+   * @param {string} [options.swapRecord] - CID record must have to be replaced
+   * @returns {Promise<{uri: string, cid: string}>} Record URI and CID
+   */
+  async #createRecord(collection, record, options = {}) {
+    const client = await this.#client();
+    const { rkey = TID.nextStr(), swapRecord } = options;
+    record = {
+      $type: collection,
+      createdAt: new Date().toISOString(),
+      ...record,
+    };
+
+    if (this.#preview) {
+      const uri = `at://${client.did}/${collection}/${rkey}`;
+      this.#preview.records.push({ collection, uri, record });
+      return { uri, cid: "preview" };
+    }
+
+    const { data } = await client.com.atproto.repo.putRecord({
+      repo: client.did,
+      collection,
+      rkey,
+      record,
+      ...(swapRecord && { swapRecord }),
+    });
+    this.#written++;
+    return { uri: data.uri, cid: data.cid };
+  }
+
+  /**
+   * Upload a blob
+   * @access private
+   * @param {import("@atproto/api").Agent} client - AT Protocol agent
+   * @param {Blob} blob - Blob
+   * @param {string} encoding - MIME type
+   * @param {string} [source] - Where blob came from (shown in previews)
+   * @returns {Promise<object>} Blob reference
+   */
+  async #uploadBlob(client, blob, encoding, source) {
+    if (this.#preview) {
+      const ref = `preview-${this.#preview.blobs.length + 1}`;
+      const buffer = Buffer.from(await blob.arrayBuffer());
+      this.#preview.blobs.push({
+        ref,
+        source,
+        mimeType: encoding,
+        size: blob.size,
+        ...(encoding?.startsWith("image/") && {
+          dataUrl: `data:${encoding};base64,${buffer.toString("base64")}`,
+        }),
+      });
+      return {
+        $type: "blob",
+        ref: { $link: ref },
+        mimeType: encoding,
+        size: blob.size,
+      };
+    }
+
+    const { data } = await client.com.atproto.repo.uploadBlob(blob, {
+      encoding,
+    });
+    return data.blob;
+  }
+
+  /**
+   * Delete a post, like or repost
+   * @param {string} syndicationUrl - URL of syndicated post, like or repost
+   * @returns {Promise<boolean>} Record was deleted
+   */
+  async delete(syndicationUrl) {
+    const client = await this.#client();
+    const { did, collection, rkey, uri } =
+      await this.#resolveRecordUrl(syndicationUrl, [
+        "app.bsky.feed.post",
+        "app.bsky.feed.like",
+        "app.bsky.feed.repost",
+      ]);
+
+    if (did !== client.did) {
+      throw new Error(
+        `Cannot delete ${syndicationUrl} as it belongs to another account`,
+      );
+    }
+
+    switch (collection) {
+      case "app.bsky.feed.like": {
+        await client.deleteLike(uri);
+        break;
+      }
+
+      case "app.bsky.feed.repost": {
+        await client.deleteRepost(uri);
+        break;
+      }
+
+      default: {
+        await client.com.atproto.repo.deleteRecord({
+          repo: did,
+          collection,
+          rkey,
+        });
+      }
+    }
+
+    return true;
+  }
+
   /**
    * Post a quote post
    * @param {string} postUrl - URL of post to quote
    * @param {object} richText - Rich text
-   * @param {Array} [images] - Images
+   * @param {object} [options] - Post options
+   * @param {Array} [options.images] - Images
+   * @param {object} [options.video] - Video embed
+   * @param {Array<Array<object>>} [options.photoReplies] - More photos (JF2), posted as replies in groups of up to four
+   * @param {string} [options.me] - Publication URL (to upload photo replies)
+   * @param {Array<string>} [options.tags] - Hashtags to add to record
+   * @param {object} [options.existing] - Existing record to replace
    * @returns {Promise<string>} Bluesky post URL
    */
-  async postQuotePost(postUrl, richText, images) {
-    const client = await this.#client();
+  async postQuotePost(postUrl, richText, options = {}) {
+    const { images, video, tags, existing } = options;
     const post = await this.getPost(postUrl);
 
     const record = {
@@ -127,7 +600,7 @@ export class Bluesky {
       record: { uri: post.uri, cid: post.cid },
     };
 
-    const media = {
+    const media = video || {
       $type: "app.bsky.embed.images",
       images,
     };
@@ -138,20 +611,215 @@ export class Bluesky {
       media,
     };
 
-    const embed = images?.length > 0 ? recordWithMedia : record;
+    const embed = video || images?.length > 0 ? recordWithMedia : record;
 
-    const postData = {
-      $type: "app.bsky.feed.post",
-      text: richText.text,
-      facets: richText.facets,
-      createdAt: new Date().toISOString(),
+    const quotePost = await this.#createPost(richText, {
       embed,
-    };
+      tags,
+      existing,
+    });
+
+    await this.#postPhotoReplies(options.photoReplies, options.me, {
+      root: existing?.reply?.root || quotePost,
+      parent: quotePost,
+      existing,
+    });
 
-    const quotePost = await client.post(postData);
     return uriToPostUrl(this.profileUrl, quotePost.uri);
   }
 
+  /**
+   * Get value from cache
+   * @access private
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Cached value
+   */
+  async #cacheGet(key) {
+    // Previews show what would be uploaded, so don’t reuse blobs
+    if (!this.cache || this.#preview) {
+      return;
+    }
+
+    try {
+      return await this.cache.get(key);
+    } catch (error) {
+      console.warn(`[Bluesky] Failed to read cache: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store value in cache
+   * @access private
+   * @param {string} key - Cache key
+   * @param {*} value - Value
+   * @param {number} [ttl] - Time to live (milliseconds)
+   */
+  async #cacheSet(key, value, ttl) {
+    if (!this.cache || this.#preview) {
+      return;
+    }
+
+    try {
+      await this.cache.set(key, value, ttl);
+    } catch (error) {
+      console.warn(`[Bluesky] Failed to write cache: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get OpenGraph data of a URL, cached for `ogCacheTtl`
+   * @access private
+   * @param {string} url - URL
+   * @returns {Promise<object>} OpenGraph data
+   */
+  async #getOpenGraphData(url) {
+    const key = `og:${url}`;
+    const cached = await this.#cacheGet(key);
+    if (cached) {
+      return cached;
+    }
+
+    const ogData = await fetchOpenGraphData(url);
+
+    // Title falls back to URL if page couldn’t be fetched
+    if (ogData.title !== url) {
+      await this.#cacheSet(key, ogData, this.ogCacheTtl);
+    }
+
+    return ogData;
+  }
+
+  /**
+   * Reuse blob uploaded before
+   * @access private
+   * @param {Array<string>} keys - Cache keys blob was found with
+   * @param {object} json - Blob reference (as JSON)
+   * @returns {object} Blob reference
+   */
+  #reuseBlob(keys, json) {
+    this.#reusedBlobs.push(...keys);
+    return jsonToLex(json);
+  }
+
+  /**
+   * Upload file, preparing images for Bluesky (see `processImage`).
+   * Reuses a blob uploaded before with the same content.
+   * @access private
+   * @param {import("@atproto/api").Agent} client - AT Protocol agent
+   * @param {Buffer} buffer - File contents
+   * @param {string} encoding - MIME type
+   * @param {string} source - Where file came from
+   * @returns {Promise<{blob: object, hash: string, aspectRatio?: object}>} Blob reference, content hash and aspect ratio of image
+   */
+  async #uploadBuffer(client, buffer, encoding, source) {
+    const hash = sha256(buffer);
+    const key = `blob:${client.did}:${hash}`;
+    const cached = await this.#cacheGet(key);
+    if (cached) {
+      const blob = this.#reuseBlob([key], cached.blob);
+      return { blob, hash, aspectRatio: cached.aspectRatio };
+    }
+
+    let aspectRatio;
+    if (encoding?.startsWith("image/")) {
+      const image = await processImage(buffer, encoding, {
+        stripMetadata: this.stripImageMetadata,
+      });
+      buffer = image.buffer;
+      encoding = image.mimeType;
+      if (image.width && image.height) {
+        aspectRatio = { width: image.width, height: image.height };
+      }
+    }
+
+    const blob = await this.#uploadBlob(
+      client,
+      new Blob([new Uint8Array(buffer)], { type: encoding }),
+      encoding,
+      source,
+    );
+    await this.#cacheSet(
+      key,
+      { blob: lexToJson(blob), aspectRatio },
+      this.blobCacheTtl,
+    );
+
+    return { blob, hash, aspectRatio };
+  }
+
+  /**
+   * Download file and upload it, preparing images for Bluesky.
+   * Reuses a blob uploaded before if the file hasn’t changed since.
+   * @access private
+   * @param {import("@atproto/api").Agent} client - AT Protocol agent
+   * @param {string} url - File URL
+   * @param {object} [options] - Options
+   * @param {object} [options.headers] - Request headers
+   * @param {boolean} [options.imagesOnly] - Reject files that aren’t images
+   * @param {string} [options.defaultEncoding] - MIME type if server sends none
+   * @returns {Promise<{blob: object, aspectRatio?: object}>} Blob reference and aspect ratio of image
+   */
+  async #uploadFromUrl(client, url, options = {}) {
+    const { headers = {}, imagesOnly, defaultEncoding } = options;
+    const key = `blob:${client.did}:${url}`;
+    const cached = await this.#cacheGet(key);
+
+    const response = await fetch(url, {
+      headers: {
+        ...headers,
+        ...(cached?.etag && { "If-None-Match": cached.etag }),
+        ...(cached?.lastModified && {
+          "If-Modified-Since": cached.lastModified,
+        }),
+      },
+      redirect: "follow",
+    });
+
+    // File hasn’t changed since it was uploaded
+    if (response.status === 304 && cached) {
+      const hashKey = `blob:${client.did}:${cached.hash}`;
+      const blob = this.#reuseBlob([key, hashKey], cached.blob);
+      return { blob, aspectRatio: cached.aspectRatio };
+    }
+
+    if (!response.ok) {
+      const error = new Error(
+        `Failed to fetch ${url}: ${response.status} ${response.statusText}`,
+      );
+      error.statusCode = response.status;
+      throw error;
+    }
+
+    const encoding = response.headers.get("Content-Type") || defaultEncoding;
+    if (imagesOnly && !encoding?.startsWith("image/")) {
+      const error = new Error(`${url} is not an image (${encoding})`);
+      error.statusCode = 415;
+      throw error;
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    const { blob, hash, aspectRatio } = await this.#uploadBuffer(
+      client,
+      buffer,
+      encoding,
+      url,
+    );
+
+    await this.#cacheSet(
+      key,
+      {
+        etag: response.headers.get("ETag"),
+        lastModified: response.headers.get("Last-Modified"),
+        hash,
+        blob: lexToJson(blob),
+        aspectRatio,
+      },
+      this.blobCacheTtl,
+    );
+
+    return { blob, aspectRatio };
+  }
+
   /**
    * Upload image from URL (for OG thumbnails)
    * @param {string} imageUrl - URL of image to upload
@@ -162,63 +830,119 @@ export class Bluesky {
 
     try {
       const client = await this.#client();
-      const response = await fetch(imageUrl, {
+
+      // Reject non-image responses (e.g. HTML error pages, login redirects)
+      const { blob } = await this.#uploadFromUrl(client, imageUrl, {
         headers: {
           "User-Agent": "Mozilla/5.0 (compatible; IndiekitBot/1.0)",
         },
-        redirect: "follow",
+        imagesOnly: true,
+        defaultEncoding: "image/jpeg",
       });
+      return blob;
+    } catch (error) {
+      // Missing images are expected (e.g. pre-generated OG image lookup)
+      if (!error.statusCode) {
+        console.error(`Failed to upload OG image: ${error.message}`);
+      }
 
-      if (!response.ok) return null;
+      return null;
+    }
+  }
+
+  /**
+   * Get post text from template for post type, if one is configured
+   * @access private
+   * @param {string} type - Post type
+   * @param {object} properties - JF2 properties
+   * @param {object} [options] - Options
+   * @param {string} [options.target] - URL the post is about
+   * @param {string} [options.removeUrl] - URL to remove from content (shown as link card)
+   * @param {string} [options.summary] - Summary (if not the post’s `summary`)
+   * @param {Array<string>} [options.hashtags] - Hashtag names (without #)
+   * @param {number} [options.limit] - Character limit
+   * @param {string} [options.template] - Template to use if none is configured
+   * @returns {Promise<string|undefined>} Post text
+   */
+  async #getTemplateText(type, properties, options = {}) {
+    const template = this.templates[type] || options.template;
+    if (!template) {
+      return;
+    }
 
-      let blob = await response.blob();
-      let encoding = response.headers.get("Content-Type") || "image/jpeg";
+    const { target, limit } = options;
+    const targetTitle =
+      target && templateUses(template, "targetTitle")
+        ? (await this.#getOpenGraphData(target)).title
+        : undefined;
 
-      // Reject non-image responses (e.g. HTML error pages, login redirects)
-      if (!encoding.startsWith("image/")) return null;
-
-      // Compress if needed
-      if (encoding?.startsWith("image/")) {
-        const buffer = Buffer.from(await blob.arrayBuffer());
-        const image = await getPostImage(buffer, encoding);
-        blob = new Blob([new Uint8Array(image.buffer)], {
-          type: image.mimeType,
-        });
-        encoding = image.mimeType;
-      }
+    const values = getTemplateValues(properties, {
+      ...options,
+      // Title falls back to URL if page couldn’t be fetched
+      targetTitle: targetTitle === target ? undefined : targetTitle,
+    });
 
-      const uploadResponse = await client.com.atproto.repo.uploadBlob(blob, {
-        encoding,
-      });
+    return renderTemplate(template, values, { limit });
+  }
 
-      return uploadResponse.data.blob;
+  /**
+   * Upload first image found for own post from `ownOgImage` sources
+   * @access private
+   * @param {string} url - Post URL
+   * @param {object} context - Lookup context
+   * @param {string} context.me - Publication URL (without trailing slash)
+   * @param {object} [context.properties] - JF2 properties of post
+   * @param {object} context.ogData - OpenGraph data of post
+   * @returns {Promise<object|null>} Blob reference or null
+   */
+  async #uploadOwnOgImage(url, context) {
+    let imageUrls = [];
+    try {
+      imageUrls = await getOwnOgImageUrls(this.ownOgImage, url, context);
     } catch (error) {
-      console.error(`Failed to upload OG image: ${error.message}`);
-      return null;
+      console.warn(`[Bluesky] Failed to find OG image: ${error.message}`);
+    }
+
+    for (const imageUrl of imageUrls) {
+      const thumb = await this.uploadImageFromUrl(imageUrl);
+      if (thumb) {
+        console.log(`[Bluesky] Using own OG image: ${imageUrl}`);
+        return thumb;
+      }
     }
+
+    return null;
   }
 
   /**
-   * Derive the OG image slug from a URL path.
-   * Handles both Indiekit format (/type/YYYY/MM/DD/slug)
-   * and Eleventy format (/content/type/YYYY-MM-DD-slug/).
-   * @param {string} urlPath - URL pathname
-   * @returns {string|null} OG image slug or null
+   * Create link card for an article from its own properties (title,
+   * summary, and `featured` or first `photo` as image), without fetching
+   * its page
+   * @access private
+   * @param {object} properties - JF2 properties
+   * @param {string} me - Publication URL
+   * @param {string} summary - Summary of article
+   * @returns {Promise<object|null>} External embed or null
    */
-  #urlToOgSlug(urlPath) {
-    // Strip trailing slash before matching
-    const path = urlPath.replace(/\/$/, "");
+  async #createArticleEmbed(properties, me, summary) {
+    const image = [properties.featured || properties.photo || []].flat()[0];
+    const imageUrl = image?.url || image;
+    const author = [properties.author].flat()[0];
 
-    // Indiekit format: /notes/2026/02/18/slug → 2026-02-18-slug
-    const indiekitMatch = path.match(
-      /\/\w+\/(\d{4})\/(\d{2})\/(\d{2})\/(.+?)$/,
-    );
-    if (indiekitMatch) {
-      return `${indiekitMatch[1]}-${indiekitMatch[2]}-${indiekitMatch[3]}-${indiekitMatch[4]}`;
-    }
-    // Eleventy format: /content/type/2026-02-18-slug/ → 2026-02-18-slug
-    const lastSegment = path.split("/").pop();
-    return lastSegment || null;
+    return this.createExternalEmbed(properties.url, {
+      me,
+      properties,
+      ogData: {
+        title: properties.name,
+        description: summary,
+        imageUrl:
+          typeof imageUrl === "string"
+            ? getCanonicalUrl(imageUrl, me || properties.url)
+            : undefined,
+        author: author?.name || (typeof author === "string" ? author : ""),
+        published: properties.published,
+      },
+    });
   }
 
   /**
@@ -227,7 +951,9 @@ export class Bluesky {
    * @param {object} [options] - Options
    * @param {boolean} [options.generateDefaultImage] - Generate default image if no OG image
    * @param {string} [options.siteName] - Site name for default image
-   * @param {string} [options.me] - Publication URL (enables pre-generated OG image lookup)
+   * @param {string} [options.me] - Publication URL (enables own post OG image lookup)
+   * @param {object} [options.properties] - JF2 properties of own post at URL (looked up if omitted)
+   * @param {object} [options.ogData] - OpenGraph data of URL (fetched if omitted), whose image is tried first
    * @returns {Promise<object|null>} External embed or null
    */
   async createExternalEmbed(url, options = {}) {
@@ -238,30 +964,29 @@ export class Bluesky {
     try {
       let thumb = null;
 
-      // For own-domain URLs, try the theme's pre-generated OG image first.
-      // These are built by Eleventy (Satori + resvg) and served at /og/<slug>.png.
-      const meNorm = me?.replace(/\/$/, "");
-      const isOwnPost = meNorm && url.startsWith(meNorm);
+      // Fetch OG metadata from HTML (needed for title/description,
+      // and as image fallback for external URLs)
+      const ogData = options.ogData || (await this.#getOpenGraphData(url));
 
-      if (isOwnPost) {
-        const slug = this.#urlToOgSlug(new URL(url).pathname);
-        if (slug) {
-          const directOgUrl = `${meNorm}/og/${slug}.png`;
-          thumb = await this.uploadImageFromUrl(directOgUrl);
-          if (thumb) {
-            console.log(
-              `[Bluesky] Using pre-generated OG image: ${slug}.png`,
-            );
-          }
-        }
+      // Image given with OG data (such as an article’s featured image)
+      if (options.ogData?.imageUrl) {
+        thumb = await this.uploadImageFromUrl(options.ogData.imageUrl);
       }
 
-      // Fetch OG metadata from HTML (needed for title/description,
-      // and as image fallback for external URLs)
-      const ogData = await fetchOpenGraphData(url);
+      // For own-domain URLs, try images from `ownOgImage` sources first
+      const meNorm = me?.replace(/\/$/, "");
+      const isOwnPost = meNorm && url.startsWith(meNorm);
+
+      if (!thumb && isOwnPost) {
+        thumb = await this.#uploadOwnOgImage(url, {
+          me: meNorm,
+          properties: options.properties || (await this.#findPost(url)),
+          ogData,
+        });
+      }
 
-      // If no pre-generated image, try OG image from HTML meta tags
-      if (!thumb && ogData.imageUrl) {
+      // If no own image, try OG image from HTML meta tags
+      if (!thumb && ogData.imageUrl && !options.ogData) {
         thumb = await this.uploadImageFromUrl(ogData.imageUrl);
       }
 
@@ -276,17 +1001,22 @@ export class Bluesky {
           const defaultImageBuffer = await generateDefaultOgImage(
             ogData.title,
             {
-              siteName: siteName || new URL(url).hostname,
+              ...this.ogImage,
+              siteName:
+                siteName || ogData.siteName || new URL(url).hostname,
+              description: ogData.description,
+              author: ogData.author,
+              published: ogData.published,
+              url,
             },
           );
           const client = await this.#client();
-          const uploadResponse = await client.com.atproto.repo.uploadBlob(
-            new Blob([new Uint8Array(defaultImageBuffer)], {
-              type: "image/png",
-            }),
-            { encoding: "image/png" },
-          );
-          thumb = uploadResponse.data.blob;
+          ({ blob: thumb } = await this.#uploadBuffer(
+            client,
+            defaultImageBuffer,
+            "image/png",
+            "Generated default image",
+          ));
         } catch (imageError) {
           console.error(
             `Failed to generate default OG image: ${imageError.message}`,
@@ -311,21 +1041,32 @@ export class Bluesky {
   }
 
   /**
-   * Post a regular post
+   * Create a post record
+   * @access private
    * @param {object} richText - Rich text
    * @param {object} [options] - Post options
    * @param {Array} [options.images] - Images
+   * @param {object} [options.video] - Video embed
    * @param {object} [options.externalEmbed] - External link embed
+   * @param {object} [options.embed] - Embed (overrides other media options)
    * @param {object} [options.reply] - Reply reference { root, parent }
-   * @returns {Promise<string>} Bluesky post URL
+   * @param {Array<string>} [options.tags] - Hashtags to add to record
+   * @param {object} [options.existing] - Existing record to replace
+   * @returns {Promise<object>} Strong reference { uri, cid } to created post
    */
-  async postPost(richText, options = {}) {
-    const client = await this.#client();
-    const { images, externalEmbed, reply } = options;
+  async #createPost(richText, options = {}) {
+    const { images, video, externalEmbed, tags, existing } = options;
+
+    // Keep reply references of the record being replaced
+    const reply = existing?.reply || options.reply;
 
-    // Determine embed type - images take priority over external
+    // Determine embed type - video, then images take priority over external
     let embed = null;
-    if (images?.length > 0) {
+    if (options.embed) {
+      embed = options.embed;
+    } else if (video) {
+      embed = video;
+    } else if (images?.length > 0) {
       embed = {
         $type: "app.bsky.embed.images",
         images,
@@ -338,98 +1079,725 @@ export class Bluesky {
       $type: "app.bsky.feed.post",
       text: richText.text,
       facets: richText.facets,
-      createdAt: new Date().toISOString(),
+      createdAt: existing?.createdAt || new Date().toISOString(),
       ...(embed && { embed }),
       ...(reply && { reply }),
+      ...(tags?.length > 0 && { tags }),
     };
 
-    const post = await client.post(postData);
+    // Replace existing record in place, keeping its URL
+    return this.#createRecord("app.bsky.feed.post", postData, {
+      rkey: existing?.rkey,
+      swapRecord: existing?.cid,
+    });
+  }
+
+  /**
+   * Post a regular post
+   * @param {object} richText - Rich text
+   * @param {object} [options] - Post options
+   * @param {Array} [options.images] - Images
+   * @param {object} [options.video] - Video embed
+   * @param {object} [options.externalEmbed] - External link embed
+   * @param {object} [options.reply] - Reply reference { root, parent }
+   * @param {Array<string>} [options.tags] - Hashtags to add to record
+   * @param {object} [options.existing] - Existing record to replace
+   * @returns {Promise<string>} Bluesky post URL
+   */
+  async postPost(richText, options = {}) {
+    const post = await this.#createPost(richText, options);
     return uriToPostUrl(this.profileUrl, post.uri);
   }
 
+  /**
+   * Post a thread, each post replying to the one before it
+   * @param {Array<object>} richTexts - Rich text for each post
+   * @param {object} [options] - Post options
+   * @param {Array} [options.images] - Images
+   * @param {object} [options.video] - Video embed
+   * @param {object} [options.externalEmbed] - External link embed
+   * @param {object} [options.reply] - Reply reference { root, parent } for first post
+   * @param {Array<Array<object>>} [options.photoReplies] - More photos (JF2), posted as replies in groups of up to four after the last post
+   * @param {string} [options.me] - Publication URL (to upload photo replies)
+   * @param {Array<string>} [options.tags] - Hashtags to add to first post
+   * @param {object} [options.existing] - Existing record to replace with first post
+   * @returns {Promise<string>} Bluesky URL of first post in thread
+   */
+  async postThread(richTexts, options = {}) {
+    const { images, video, externalEmbed, tags, existing } = options;
+    const reply = existing?.reply || options.reply;
+    const embedIndex =
+      this.threadEmbedPosition === "last" ? richTexts.length - 1 : 0;
+
+    let head;
+    let parent;
+    for (const [index, richText] of richTexts.entries()) {
+      const post = await this.#createPost(richText, {
+        ...(index === embedIndex && { images, video, externalEmbed }),
+        reply: parent ? { root: reply?.root || head, parent } : reply,
+        existing: index === 0 ? existing : this.#nextFollowUp(existing),
+        ...(index === 0 && { tags }),
+      });
+      head = head || post;
+      parent = post;
+    }
+
+    await this.#postPhotoReplies(options.photoReplies, options.me, {
+      root: reply?.root || head,
+      parent,
+      existing,
+    });
+
+    return uriToPostUrl(this.profileUrl, head.uri);
+  }
+
+  /**
+   * Get existing record to replace with next reply following a post.
+   * Replies added when a post is updated keep its creation date, so they
+   * are found as its follow-ups when it is next updated.
+   * @access private
+   * @param {object} [existing] - Existing record of first post
+   * @returns {object|undefined} Existing record of reply
+   */
+  #nextFollowUp(existing) {
+    if (!existing) {
+      return;
+    }
+
+    return this.#followUps.shift() || { createdAt: existing.createdAt };
+  }
+
+  /**
+   * Find replies following a post (thread posts and photo replies): a chain
+   * of own replies, each replying to the one before it, created at the same
+   * time as the post. Later replies (such as replies to own posts) aren’t
+   * part of the chain.
+   * @access private
+   * @param {string} uri - AT URI of post
+   * @param {string} createdAt - Creation date of post
+   * @returns {Promise<Array<{rkey: string, cid: string, createdAt: string}>>} Replies, in order
+   */
+  async #getFollowUps(uri, createdAt) {
+    const client = await this.#client();
+    const { data } = await client.app.bsky.feed.getPostThread({
+      uri,
+      depth: 1000,
+      parentHeight: 0,
+    });
+
+    const followUps = [];
+    const start = new Date(createdAt).getTime();
+    let node = data.thread;
+    for (;;) {
+      const next = (node.replies || [])
+        .filter(({ post }) => {
+          const time = new Date(post?.record?.createdAt).getTime();
+          return (
+            post?.author.did === client.did &&
+            Math.abs(time - start) <= FOLLOW_UP_WINDOW
+          );
+        })
+        .sort((a, b) =>
+          a.post.record.createdAt.localeCompare(b.post.record.createdAt),
+        )[0];
+      if (!next) {
+        break;
+      }
+
+      followUps.push({
+        rkey: next.post.uri.split("/").pop(),
+        cid: next.post.cid,
+        createdAt: next.post.record.createdAt,
+      });
+      node = next;
+    }
+
+    return followUps;
+  }
+
+  /**
+   * Delete own posts
+   * @access private
+   * @param {Array<{rkey: string}>} records - Records to delete
+   */
+  async #deletePosts(records) {
+    if (this.#preview) {
+      return;
+    }
+
+    const client = await this.#client();
+    for (const { rkey } of records) {
+      await client.com.atproto.repo.deleteRecord({
+        repo: client.did,
+        collection: "app.bsky.feed.post",
+        rkey,
+      });
+    }
+  }
+
+  /**
+   * Post photos after the first four as a chain of replies, four per reply.
+   * If a reply fails, the error is logged and the posts made so far are kept.
+   * @access private
+   * @param {Array<Array<object>>} [photoReplies] - Photos (JF2) for each reply
+   * @param {string} me - Publication URL
+   * @param {object} reply - Reply reference { root, parent } for first reply
+   * @param {object} [reply.existing] - Existing record of first post, if it is being replaced
+   */
+  async #postPhotoReplies(photoReplies, me, reply) {
+    if (!photoReplies?.length) {
+      return;
+    }
+
+    const client = await this.#client();
+    const total = photoReplies.length + 1;
+    let { parent } = reply;
+
+    for (const [index, photos] of photoReplies.entries()) {
+      const number = index + 2;
+      try {
+        const images = await this.#uploadPhotos(photos, me);
+        const text = this.threadPhotoCounters ? `(${number}/${total})` : "";
+        parent = await this.#createPost(await createRichText(client, text), {
+          images,
+          reply: { root: reply.root, parent },
+          existing: this.#nextFollowUp(reply.existing),
+        });
+      } catch (error) {
+        console.warn(
+          `[Bluesky] Failed to post photo reply ${number}/${total}: ${error.message}`,
+        );
+        return;
+      }
+    }
+  }
+
+  /**
+   * Post text as a single post, or as a thread if it is too long
+   * @access private
+   * @param {import("@atproto/api").Agent} client - AT Protocol agent
+   * @param {string} text - Post text
+   * @param {object} [options] - Post options
+   * @param {Array<{text: string, url: string, before?: string}>} [options.htmlLinks] - Links to build facets for
+   * @param {Array} [options.images] - Images
+   * @param {object} [options.video] - Video embed
+   * @param {object} [options.externalEmbed] - External link embed
+   * @param {object} [options.reply] - Reply reference { root, parent }
+   * @param {Array<string>} [options.tags] - Hashtags to add to record
+   * @param {object} [options.existing] - Existing record to replace
+   * @param {Array<Array<object>>} [options.photoReplies] - More photos (JF2), posted as replies in groups of up to four
+   * @param {string} [options.me] - Publication URL (to upload photo replies)
+   * @param {boolean} [options.thread] - Split long text into a thread (defaults to `threadLongPosts`)
+   * @returns {Promise<string>} Bluesky post URL
+   */
+  async #postText(client, text, options = {}) {
+    const {
+      htmlLinks = [],
+      thread = this.threadLongPosts,
+      ...postOptions
+    } = options;
+
+    const texts = thread
+      ? splitTextIntoThread(text, { counters: this.threadCounters })
+      : [text];
+
+    // Find links in whole text, so each is linked in the post it ends up in
+    const ranges = getLinkRanges(text, htmlLinks);
+    let offset = 0;
+
+    const richTexts = [];
+    for (const postText of texts) {
+      const body = postText.replace(/\n\d+\/\d+$/, "");
+      const start = text.indexOf(body, offset);
+      if (start !== -1) {
+        offset = start + body.length;
+      }
+
+      // URLs longer than a post are posted on their own, shortened
+      const shortened = shortenLongUrls(postText);
+      if (shortened.ranges.length > 0) {
+        const linkFacets = linkRangesToFacets(shortened.text, shortened.ranges);
+        richTexts.push(
+          await createRichText(client, shortened.text, linkFacets),
+        );
+        continue;
+      }
+
+      const linkFacets =
+        start === -1
+          ? buildLinkFacets(postText, htmlLinks)
+          : linkRangesToFacets(
+              postText,
+              sliceLinkRanges(ranges, start, body.length),
+            );
+
+      richTexts.push(await createRichText(client, postText, linkFacets));
+    }
+
+    if (richTexts.length === 1 && !postOptions.photoReplies?.length) {
+      return this.postPost(richTexts[0], postOptions);
+    }
+
+    return this.postThread(richTexts, postOptions);
+  }
+
+  /**
+   * Upload photos for an images embed
+   * @access private
+   * @param {Array<object>} photos - JF2 photo objects
+   * @param {string} me - Publication URL
+   * @returns {Promise<Array<object>>} Images (with alt text, blob reference and aspect ratio)
+   */
+  async #uploadPhotos(photos, me) {
+    const uploads = photos.map(async (photo) => {
+      const { blob, aspectRatio } = await this.uploadMedia(photo, me);
+      return {
+        alt: photo.alt || "",
+        image: blob,
+        ...(aspectRatio && { aspectRatio }),
+      };
+    });
+    return Promise.all(uploads);
+  }
+
   /**
    * Upload media
    * @param {object} media - JF2 media object
    * @param {string} me - Publication URL
-   * @returns {Promise<object>} Blob reference for the uploaded media
+   * @returns {Promise<{blob?: object, aspectRatio?: object}>} Blob reference for the uploaded media, and aspect ratio of images
    */
   async uploadMedia(media, me) {
     const client = await this.#client();
     const { url } = media;
 
     if (typeof url !== "string") {
-      return;
+      return {};
     }
 
     try {
       const mediaUrl = getCanonicalUrl(url, me);
-      const mediaResponse = await fetch(mediaUrl);
+      return await this.#uploadFromUrl(client, mediaUrl);
+    } catch (error) {
+      throw new Error(error.message, { cause: error });
+    }
+  }
+
+  /**
+   * Get service auth token for a request made to another service
+   * @access private
+   * @param {import("@atproto/api").AtpAgent} client - AT Protocol agent
+   * @param {string} aud - DID of service
+   * @param {string} lxm - Lexicon method the token is valid for
+   * @returns {Promise<string>} Service auth token
+   */
+  async #getServiceAuth(client, aud, lxm) {
+    const { data } = await client.com.atproto.server.getServiceAuth({
+      aud,
+      lxm,
+      exp: Math.floor(Date.now() / 1000) + 60 * 30,
+    });
+    return data.token;
+  }
+
+  /**
+   * Upload video to video service and wait until it has been processed
+   * @access private
+   * @param {import("@atproto/api").AtpAgent} client - AT Protocol agent
+   * @param {Buffer} buffer - Video data
+   * @param {string} encoding - Video MIME type
+   * @param {string} name - Video file name
+   * @returns {Promise<object>} Blob reference for the processed video
+   */
+  async #uploadVideoBlob(client, buffer, encoding, name) {
+    if (this.#preview) {
+      const blob = new Blob([new Uint8Array(buffer)], { type: encoding });
+      return this.#uploadBlob(client, blob, encoding, name);
+    }
+
+    const videoServiceUrl = new URL(this.videoServiceUrl);
+
+    // Check account is allowed to upload (more) videos today
+    const limitsToken = await this.#getServiceAuth(
+      client,
+      `did:web:${videoServiceUrl.hostname}`,
+      "app.bsky.video.getUploadLimits",
+    );
+    const retryFetch = withRetry(fetch, this.retry);
+    const limitsResponse = await retryFetch(
+      new URL("/xrpc/app.bsky.video.getUploadLimits", videoServiceUrl),
+      { headers: { Authorization: `Bearer ${limitsToken}` } },
+    );
+    if (limitsResponse.ok) {
+      const limits = await limitsResponse.json();
+      if (limits.canUpload === false) {
+        throw new Error(
+          `Bluesky video upload not allowed: ${limits.message || limits.error || "upload limit reached"}`,
+        );
+      }
+    }
+
+    // Video service uploads blob to user’s PDS on their behalf
+    const { data: server } = await client.com.atproto.server.describeServer();
+    const uploadToken = await this.#getServiceAuth(
+      client,
+      server.did,
+      "com.atproto.repo.uploadBlob",
+    );
+
+    const uploadUrl = new URL("/xrpc/app.bsky.video.uploadVideo", videoServiceUrl);
+    uploadUrl.searchParams.set("did", client.did);
+    uploadUrl.searchParams.set("name", name);
+
+    // Uploading twice only creates a second processing job, so can be retried
+    const uploadFetch = withRetry(fetch, { ...this.retry, idempotent: true });
+    const uploadResponse = await uploadFetch(uploadUrl, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${uploadToken}`,
+        "Content-Type": encoding,
+      },
+      body: buffer,
+    });
+
+    // Service returns job status unwrapped; a video uploaded before returns 409
+    const body = await uploadResponse.json().catch(() => ({}));
+    let job = body.jobStatus || body;
+    if (!job.jobId) {
+      const error = new Error(
+        `Failed to upload video: ${body.message || body.error || uploadResponse.statusText}`,
+      );
+      error.statusCode = uploadResponse.status;
+      throw error;
+    }
+
+    // Poll job status until video has been processed
+    const statusUrl = new URL("/xrpc/app.bsky.video.getJobStatus", videoServiceUrl);
+    statusUrl.searchParams.set("jobId", job.jobId);
+
+    const deadline = Date.now() + 5 * 60 * 1000;
+    while (!job.blob) {
+      if (job.state === "JOB_STATE_FAILED") {
+        throw new Error(
+          `Bluesky failed to process video: ${job.message || job.error || "unknown error"}`,
+        );
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error("Timed out waiting for Bluesky to process video");
+      }
 
-      if (!mediaResponse.ok) {
-        throw new Error(`Failed to fetch media: ${mediaResponse.status} ${mediaResponse.statusText}`);
+      await setTimeout(2000);
+
+      const statusResponse = await retryFetch(statusUrl);
+      if (statusResponse.ok) {
+        ({ jobStatus: job } = await statusResponse.json());
       }
+    }
+
+    return job.blob;
+  }
+
+  /**
+   * Upload captions linked from a video
+   * @access private
+   * @param {import("@atproto/api").AtpAgent} client - AT Protocol agent
+   * @param {object} media - JF2 media object
+   * @param {string} me - Publication URL
+   * @returns {Promise<Array>} Caption references
+   */
+  async #uploadCaptions(client, media, me) {
+    const captions = [media.captions || []].flat().slice(0, 20);
 
-      let blob = await mediaResponse.blob();
-      let encoding = mediaResponse.headers.get("Content-Type");
+    const uploads = captions.map(async (caption) => {
+      const { url, lang = "en" } =
+        typeof caption === "string" ? { url: caption } : caption;
+
+      try {
+        const captionResponse = await fetch(getCanonicalUrl(url, me));
+        if (!captionResponse.ok) {
+          throw new Error(`${captionResponse.status} ${captionResponse.statusText}`);
+        }
 
-      if (encoding?.startsWith("image/")) {
-        const buffer = Buffer.from(await blob.arrayBuffer());
-        const image = await getPostImage(buffer, encoding);
-        blob = new Blob([new Uint8Array(image.buffer)], {
-          type: image.mimeType,
+        const blob = new Blob([await captionResponse.arrayBuffer()], {
+          type: "text/vtt",
         });
-        encoding = image.mimeType;
+        const file = await this.#uploadBlob(client, blob, "text/vtt", url);
+
+        return { lang, file };
+      } catch (error) {
+        console.error(`Failed to upload captions ${url}: ${error.message}`);
       }
+    });
 
-      const response = await client.com.atproto.repo.uploadBlob(blob, {
-        encoding,
-      });
+    const uploaded = await Promise.all(uploads);
+    return uploaded.filter(Boolean);
+  }
+
+  /**
+   * Upload video
+   * @param {object} media - JF2 media object
+   * @param {string} me - Publication URL
+   * @returns {Promise<object|undefined>} Video embed
+   */
+  async uploadVideo(media, me) {
+    const client = await this.#client();
+    const { url } = media;
+
+    if (typeof url !== "string") {
+      return;
+    }
+
+    const videoUrl = getCanonicalUrl(url, me);
+    const videoResponse = await fetch(videoUrl);
+
+    if (!videoResponse.ok) {
+      throw new Error(`Failed to fetch video: ${videoResponse.status} ${videoResponse.statusText}`);
+    }
+
+    // Check size before downloading video
+    const contentLength = Number(videoResponse.headers.get("Content-Length"));
+    if (contentLength) {
+      checkVideoLimits({ size: contentLength }, videoUrl);
+    }
+
+    const buffer = Buffer.from(await videoResponse.arrayBuffer());
+    const encoding = videoResponse.headers.get("Content-Type") || "video/mp4";
+    const { duration, width, height } = getVideoMetadata(buffer);
+    checkVideoLimits({ size: buffer.length, duration }, videoUrl);
+
+    const name = new URL(videoUrl).pathname.split("/").pop() || "video.mp4";
+    const video = await this.#uploadVideoBlob(client, buffer, encoding, name);
+    const captions = await this.#uploadCaptions(client, media, me);
+
+    return {
+      $type: "app.bsky.embed.video",
+      video,
+      ...(media.alt && { alt: media.alt }),
+      ...(captions.length > 0 && { captions }),
+      ...(width && height && { aspectRatio: { width, height } }),
+    };
+  }
+
+  /**
+   * Update a syndicated post
+   * @param {string} syndicationUrl - URL of syndicated post
+   * @param {object} properties - JF2 properties
+   * @param {string} me - Publication URL
+   * @param {object} [options] - Update options
+   * @param {boolean} [options.recreate] - Delete and recreate post instead of replacing it
+   * @returns {Promise<string|boolean>} URL of syndicated status
+   */
+  async update(syndicationUrl, properties, me, options = {}) {
+    const client = await this.#client();
+    const { did, collection, rkey } =
+      await this.#resolveRecordUrl(syndicationUrl);
+
+    // Native likes and reposts have no content to update
+    if (collection !== "app.bsky.feed.post") {
+      return syndicationUrl;
+    }
+
+    if (did !== client.did) {
+      throw new Error(
+        `Cannot update ${syndicationUrl} as it belongs to another account`,
+      );
+    }
+
+    const { data } = await client.com.atproto.repo.getRecord({
+      repo: did,
+      collection,
+      rkey,
+    });
+    const { createdAt, reply } = data.value;
+    const followUps = await this.#getFollowUps(data.uri, createdAt);
+
+    // Post new copy before deleting old one, so a failure loses neither
+    if (options.recreate) {
+      const url = await this.post(properties, me, { createdAt, reply });
+      await this.#deletePosts([{ rkey }, ...followUps]);
+      return url;
+    }
+
+    return this.post(properties, me, {
+      rkey,
+      cid: data.cid,
+      createdAt,
+      reply,
+      followUps,
+    });
+  }
+
+  /**
+   * Post to Bluesky
+   * @param {object} properties - JF2 properties
+   * @param {string} me - Publication URL
+   * @param {object} [existing] - Existing record to replace
+   * @param {string} [existing.rkey] - Record key (if omitted, a new record is created)
+   * @param {string} [existing.cid] - Record CID
+   * @param {string} [existing.createdAt] - Record creation date to keep
+   * @param {object} [existing.reply] - Reply reference to keep
+   * @param {Array<object>} [existing.followUps] - Replies following record, replaced in place by new replies (or deleted if no longer needed)
+   * @returns {Promise<string|boolean>} URL of syndicated status
+   */
+  async post(properties, me, existing) {
+    this.#reusedBlobs = [];
+    this.#written = 0;
+    this.#followUps = [...(existing?.followUps || [])];
+
+    try {
+      const url = await this.#post(properties, me, existing);
 
-      return response.data.blob;
+      // Remove replies the updated post no longer needs
+      await this.#deletePosts(this.#followUps);
+      this.#followUps = [];
+
+      return url;
     } catch (error) {
-      throw new Error(error.message);
+      // Cached blob was never used in a record, so Bluesky has deleted it.
+      // Forget cached blobs and upload them again, if nothing was posted yet.
+      const reusedBlobs = this.#reusedBlobs;
+      if (isBlobNotFound(error) && reusedBlobs.length > 0 && !this.#written) {
+        await Promise.all(reusedBlobs.map((key) => this.cache.delete(key)));
+        return this.post(properties, me, existing);
+      }
+
+      throw error;
     }
   }
 
   /**
    * Post to Bluesky
+   * @access private
    * @param {object} properties - JF2 properties
    * @param {string} me - Publication URL
+   * @param {object} [existing] - Existing record to replace
    * @returns {Promise<string|boolean>} URL of syndicated status
    */
-  async post(properties, me) {
+  async #post(properties, me, existing) {
     try {
       const client = await this.#client();
 
-      // Upload photos
+      // Long posts are split into a thread instead of being truncated
+      const limit = this.threadLongPosts ? Infinity : 300;
+
+      // Titled posts (other than replies, photos and videos, as in
+      // `getPostType`) are posted as articles, with a link card
+      const isArticle =
+        Boolean(properties.name) &&
+        !properties["in-reply-to"] &&
+        !properties["like-of"] &&
+        !properties["repost-of"] &&
+        !properties["bookmark-of"] &&
+        !properties.photo &&
+        !properties.video;
+
+      // Upload video (Bluesky posts can have a video or photos, not both)
+      let video;
+      if (properties.video) {
+        video = await this.uploadVideo(properties.video[0], me);
+      }
+
+      // Photos, or else images in content if `inlineImages` is enabled
+      let photos = properties.photo || [];
+      if (photos.length === 0 && this.inlineImages) {
+        photos = getContentImages(properties, me);
+      }
+
+      // Upload photos (posts can have up to four, others are posted as
+      // replies if `threadPhotos` is enabled)
       let images = [];
-      if (properties.photo) {
-        const photos = properties.photo.slice(0, 4);
-        const uploads = photos.map(async (photo) => ({
-          alt: photo.alt || "",
-          image: await this.uploadMedia(photo, me),
-        }));
-        images = await Promise.all(uploads);
+      const photoReplies = [];
+      if (photos.length > 0 && !video && !isArticle) {
+        images = await this.#uploadPhotos(photos.slice(0, 4), me);
+        if (this.threadPhotos) {
+          for (let index = 4; index < photos.length; index += 4) {
+            photoReplies.push(photos.slice(index, index + 4));
+          }
+        }
       }
 
+      // Add categories as hashtags, either in text or as record tags
+      const hashtags = this.hashtags
+        ? getHashtags(properties, {
+            allow: this.hashtagAllow,
+            deny: this.hashtagDeny,
+          })
+        : [];
+      // Post records can have up to 8 tags
+      const tags = this.hashtags === "tags" ? hashtags.slice(0, 8) : undefined;
+      // Resolve people linked in content or tagged in categories
+      const people = await this.#resolvePeople(
+        client,
+        properties,
+        extractHtmlLinks(properties.content?.html, {
+          baseUrl: properties.url,
+        }),
+      );
+
+      // Text from template for post type, or else built-in text
+      const getText = async (type, fallback, options = {}) => {
+        const text = await this.#getTemplateText(type, properties, {
+          ...options,
+          hashtags: this.hashtags === "text" ? hashtags : [],
+          limit: options.limit ?? limit,
+        });
+        return withTags(text ?? fallback(), options.limit);
+      };
+
+      // Append mentions of tagged people, then hashtags
+      const withTags = (text, textLimit = limit) => {
+        text = appendMentions(text, people.handles, { limit: textLimit });
+        return this.hashtags === "text"
+          ? appendHashtags(text, hashtags, { limit: textLimit })
+          : text;
+      };
+
       // Handle reposts
       const repostUrl = properties["repost-of"];
       if (repostUrl) {
-        if (isSameOrigin(repostUrl, this.profileUrl) && properties.content) {
-          const text = getPostText(properties, this.includePermalink);
-          const richText = await createRichText(client, text);
-          return this.postQuotePost(repostUrl, richText, images);
+        if (this.#isBlueskyUrl(repostUrl) && properties.content) {
+          // Quote posts aren’t threaded, so text always fits one post
+          const text = await getText(
+            "quote",
+            () => getPostText(properties, this.includePermalink),
+            { target: repostUrl, limit: 300 },
+          );
+          const richText = await createRichText(
+            client,
+            text,
+            buildLinkFacets(text, people.links),
+          );
+          return this.postQuotePost(repostUrl, richText, {
+            images,
+            photoReplies,
+            me,
+            video,
+            tags,
+            existing,
+          });
         }
-        if (isSameOrigin(repostUrl, this.profileUrl)) {
+        if (this.#isBlueskyUrl(repostUrl)) {
           return this.postRepost(repostUrl);
         }
 
         // Syndicate reposts of external URLs as posts with link card
         if (this.syndicateExternalReposts) {
-          const text = getRepostPostText(properties, repostUrl);
-          const richText = await createRichText(client, text);
+          const text = await getText(
+            "repost",
+            () => getRepostPostText(properties, repostUrl, { limit }),
+            { target: repostUrl, removeUrl: repostUrl },
+          );
           const externalEmbed = await this.createExternalEmbed(repostUrl, { me });
-          return this.postPost(richText, { images, externalEmbed });
+          return this.#postText(client, text, {
+            htmlLinks: people.links,
+            images,
+            photoReplies,
+            me,
+            video,
+            externalEmbed,
+            tags,
+            existing,
+          });
         }
 
         return;
@@ -439,17 +1807,29 @@ export class Bluesky {
       const likeOfUrl = properties["like-of"];
       if (likeOfUrl) {
         // Native Bluesky like for Bluesky URLs
-        if (isSameOrigin(likeOfUrl, this.profileUrl)) {
+        if (this.#isBlueskyUrl(likeOfUrl)) {
           return this.postLike(likeOfUrl);
         }
 
         // Syndicate likes of external URLs as posts with link card
         if (this.syndicateExternalLikes) {
-          const text = getLikePostText(properties, likeOfUrl);
-          const richText = await createRichText(client, text);
+          const text = await getText(
+            "like",
+            () => getLikePostText(properties, likeOfUrl, { limit }),
+            { target: likeOfUrl, removeUrl: likeOfUrl },
+          );
           // Create external embed for the liked URL
           const externalEmbed = await this.createExternalEmbed(likeOfUrl, { me });
-          return this.postPost(richText, { images, externalEmbed });
+          return this.#postText(client, text, {
+            htmlLinks: people.links,
+            images,
+            photoReplies,
+            me,
+            video,
+            externalEmbed,
+            tags,
+            existing,
+          });
         }
 
         // Don't syndicate if option is disabled
@@ -459,10 +1839,51 @@ export class Bluesky {
       // Handle bookmarks - OG card shows bookmarked URL, text has commentary + permalink
       const bookmarkOfUrl = properties["bookmark-of"];
       if (bookmarkOfUrl) {
-        const text = getBookmarkPostText(properties, bookmarkOfUrl);
-        const richText = await createRichText(client, text);
+        const text = await getText(
+          "bookmark",
+          () => getBookmarkPostText(properties, bookmarkOfUrl, { limit }),
+          { target: bookmarkOfUrl, removeUrl: bookmarkOfUrl },
+        );
         const externalEmbed = await this.createExternalEmbed(bookmarkOfUrl, { me });
-        return this.postPost(richText, { images, externalEmbed });
+        return this.#postText(client, text, {
+          htmlLinks: people.links,
+          images,
+          photoReplies,
+          me,
+          video,
+          externalEmbed,
+          tags,
+          existing,
+        });
+      }
+
+      // Articles: link card built from the article, with text depending on
+      // `articleMode` (none, title and summary, or whole article as a thread)
+      if (isArticle) {
+        const summary = getArticleSummary(properties);
+        const thread = this.articleMode === "thread";
+        const articleLimit = thread ? Infinity : 300;
+        const template = getArticleTemplate(this.articleMode, summary);
+        const text = template
+          ? await getText("article", () => "", {
+              template,
+              summary,
+              limit: articleLimit,
+            })
+          : withTags("", articleLimit);
+        // Card can show an image from content if article has no photos
+        const externalEmbed = await this.#createArticleEmbed(
+          { ...properties, photo: photos },
+          me,
+          summary,
+        );
+        return this.#postText(client, text, {
+          htmlLinks: people.links,
+          externalEmbed,
+          tags,
+          existing,
+          thread,
+        });
       }
 
       // Resolve reply threading if in-reply-to is a Bluesky URL
@@ -472,41 +1893,82 @@ export class Bluesky {
         ? inReplyToRaw[0]
         : inReplyToRaw;
       if (inReplyTo && typeof inReplyTo === "string") {
-        const lower = inReplyTo.toLowerCase();
-        if (lower.includes("bsky.app") || lower.includes("bluesky")) {
+        if (this.#isBlueskyUrl(inReplyTo)) {
           reply = await this.resolveReplyRef(inReplyTo);
+        } else if (me && isSameOrigin(inReplyTo, me)) {
+          // Reply to own post, continue thread if it was syndicated to Bluesky
+          const syndicatedUrl = await this.findSyndicatedCopy(inReplyTo);
+          if (syndicatedUrl) {
+            reply = await this.resolveReplyRef(syndicatedUrl);
+          }
         }
       }
 
       // Regular post - determine external URL and build text accordingly
       // Pass ownDomain so own-site links don't steal the OG card from the note
       const meHost = me ? new URL(me).hostname : undefined;
-      const externalUrl = getExternalUrl(properties, meHost);
-      const text = buildPostText(properties, { externalUrl });
-
-      // Build link facets from HTML content (makes display text clickable)
-      let linkFacets = [];
-      if (properties.content?.html) {
-        const htmlLinks = extractHtmlLinks(properties.content.html);
-        linkFacets = buildLinkFacets(text, htmlLinks);
-      }
+      const mentionUrls = people.links
+        .filter((link) => link.did)
+        .map((link) => link.url);
+      const externalUrl = getExternalUrl(properties, meHost, mentionUrls);
+      const text = await getText(
+        getPostType(properties),
+        () => buildPostText(properties, { externalUrl, limit }),
+        {
+          target: typeof inReplyTo === "string" ? inReplyTo : inReplyTo?.url,
+          removeUrl: externalUrl,
+        },
+      );
 
-      const richText = await createRichText(client, text, linkFacets);
+      // Links from HTML content (makes display text clickable)
+      const htmlLinks = people.links;
 
       // Create OG embed:
       // - External URL exists → use it as OG card (permalink is in text)
       // - No external URL → use permalink as OG card
       let externalEmbed = null;
-      if (!images?.length) {
+      if (!images?.length && !video) {
         const embedUrl = externalUrl || properties.url;
         if (embedUrl) {
-          externalEmbed = await this.createExternalEmbed(embedUrl, { me });
+          externalEmbed = await this.createExternalEmbed(embedUrl, {
+            me,
+            ...(embedUrl === properties.url && { properties }),
+          });
         }
       }
 
-      return this.postPost(richText, { images, externalEmbed, reply });
+      return this.#postText(client, text, {
+        htmlLinks,
+        images,
+        photoReplies,
+        me,
+        video,
+        externalEmbed,
+        reply,
+        tags,
+        existing,
+      });
     } catch (error) {
-      throw new Error(error.message);
+      throw new Error(error.message, { cause: error });
+    }
+  }
+
+  /**
+   * Preview post without posting it.
+   * Runs the same steps as `post()`, but collects records and blobs instead
+   * of uploading or writing them.
+   * @param {object} properties - JF2 properties
+   * @param {string} me - Publication URL
+   * @returns {Promise<object>} Records (with grapheme counts and facets), link card and blobs that would be posted
+   */
+  async preview(properties, me) {
+    this.#preview = { records: [], blobs: [] };
+
+    try {
+      await this.post(properties, me);
+      return describePreview(this.#preview);
+    } finally {
+      this.#preview = undefined;
     }
   }
 }
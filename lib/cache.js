@@ -0,0 +1,212 @@
+import { createHash } from "node:crypto";
+import { mkdir, readFile, rm, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+/**
+ * Get SHA-256 hash of data
+ * @param {Buffer|string} data - Data
+ * @returns {string} Hex encoded hash
+ */
+export const sha256 = (data) =>
+  createHash("sha256").update(data).digest("hex");
+
+/**
+ * Most entries kept by memory cache
+ */
+const MAX_MEMORY_ENTRIES = 1000;
+
+/**
+ * Get expiry time for a time to live
+ * @param {number} [ttl] - Time to live (milliseconds)
+ * @returns {number|undefined} Expiry time (milliseconds since epoch)
+ */
+const getExpiry = (ttl) => (ttl ? Date.now() + ttl : undefined);
+
+/**
+ * Check if a cache entry has expired
+ * @param {object} [entry] - Cache entry
+ * @returns {boolean} Entry has expired
+ */
+const isExpired = (entry) =>
+  Boolean(entry?.expires && entry.expires < Date.now());
+
+/**
+ * Cache kept in memory (lost on restart).
+ * Entries are kept in order of last use, and the least recently used entry
+ * is removed when the cache is full.
+ */
+export class MemoryCache {
+  #entries = new Map();
+
+  /**
+   * @param {object} [options] - Options
+   * @param {number} [options.maxEntries] - Most entries to keep
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || MAX_MEMORY_ENTRIES;
+  }
+
+  async get(key) {
+    const entry = this.#entries.get(key);
+    if (!entry) {
+      return;
+    }
+
+    // Move entry to end, as most recently used
+    this.#entries.delete(key);
+    if (isExpired(entry)) {
+      return;
+    }
+
+    this.#entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttl) {
+    this.#entries.delete(key);
+    this.#entries.set(key, { value, expires: getExpiry(ttl) });
+
+    for (const oldestKey of this.#entries.keys()) {
+      if (this.#entries.size <= this.maxEntries) {
+        break;
+      }
+
+      this.#entries.delete(oldestKey);
+    }
+  }
+
+  async delete(key) {
+    this.#entries.delete(key);
+  }
+}
+
+/**
+ * Cache kept in a directory, one JSON file per entry
+ */
+export class FileCache {
+  /**
+   * @param {string} directory - Cache directory
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  #path(key) {
+    return path.join(this.directory, `${sha256(key)}.json`);
+  }
+
+  async get(key) {
+    let entry;
+    try {
+      entry = JSON.parse(await readFile(this.#path(key), "utf8"));
+    } catch {
+      return;
+    }
+
+    if (isExpired(entry)) {
+      await this.delete(key);
+      return;
+    }
+
+    return entry.value;
+  }
+
+  async set(key, value, ttl) {
+    await mkdir(this.directory, { recursive: true });
+    const entry = { key, value, expires: getExpiry(ttl) };
+    await writeFile(this.#path(key), JSON.stringify(entry));
+  }
+
+  async delete(key) {
+    await rm(this.#path(key), { force: true });
+  }
+}
+
+/**
+ * Cache kept in a database collection
+ */
+export class CollectionCache {
+  /**
+   * @param {Function} getCollection - Get database collection
+   */
+  constructor(getCollection) {
+    this.getCollection = getCollection;
+  }
+
+  async get(key) {
+    const entry = await this.getCollection()?.findOne({ _id: key });
+    if (isExpired(entry)) {
+      await this.delete(key);
+      return;
+    }
+
+    return entry?.value;
+  }
+
+  async set(key, value, ttl) {
+    await this.getCollection()?.updateOne(
+      { _id: key },
+      { $set: { value, expires: getExpiry(ttl) } },
+      { upsert: true },
+    );
+  }
+
+  async delete(key) {
+    await this.getCollection()?.deleteOne({ _id: key });
+  }
+}
+
+/**
+ * Create cache
+ * @param {string|object|boolean} type - `memory`, `filesystem`, `mongodb`, a cache object (with `get`, `set` and `delete` methods) or `false`
+ * @param {object} [options] - Options
+ * @param {string} [options.directory] - Directory for `filesystem` cache
+ * @param {number} [options.maxEntries] - Most entries kept by `memory` cache
+ * @param {Function} [options.getCollection] - Get database collection for `mongodb` cache
+ * @returns {object|undefined} Cache
+ */
+export const createCache = (type, options = {}) => {
+  switch (type) {
+    case false: {
+      return;
+    }
+
+    case "filesystem": {
+      return new FileCache(options.directory);
+    }
+
+    case "mongodb": {
+      return new CollectionCache(options.getCollection);
+    }
+
+    case "memory": {
+      return new MemoryCache({ maxEntries: options.maxEntries });
+    }
+
+    default: {
+      if (typeof type?.get === "function") {
+        return type;
+      }
+
+      throw new Error(`Unknown cache type ${type}`);
+    }
+  }
+};
+
+/**
+ * Check if error is caused by a record using a blob the server doesn’t have
+ * @param {Error} error - Error
+ * @returns {boolean} Blob was not found
+ */
+export const isBlobNotFound = (error) => {
+  for (let cause = error; cause; cause = cause.cause) {
+    if (
+      cause.error === "BlobNotFound" ||
+      /could not find blob/i.test(cause.message)
+    ) {
+      return true;
+    }
+  }
+
+  return false;
+};
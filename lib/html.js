@@ -0,0 +1,448 @@
+import { JSDOM } from "jsdom";
+
+/**
+ * Document HTML is parsed in (shared, as creating a window is slow)
+ */
+const { document } = new JSDOM("").window;
+
+/**
+ * Elements rendered as separate blocks of text
+ */
+const BLOCK_ELEMENTS = new Set([
+  "ADDRESS",
+  "ARTICLE",
+  "ASIDE",
+  "BLOCKQUOTE",
+  "DD",
+  "DETAILS",
+  "DIV",
+  "DL",
+  "DT",
+  "FIELDSET",
+  "FIGCAPTION",
+  "FIGURE",
+  "FOOTER",
+  "FORM",
+  "H1",
+  "H2",
+  "H3",
+  "H4",
+  "H5",
+  "H6",
+  "HEADER",
+  "HR",
+  "MAIN",
+  "NAV",
+  "OL",
+  "P",
+  "PRE",
+  "SECTION",
+  "SUMMARY",
+  "TABLE",
+  "UL",
+]);
+
+/**
+ * Elements with no text worth posting
+ */
+const SKIPPED_ELEMENTS = new Set([
+  "AUDIO",
+  "BUTTON",
+  "CANVAS",
+  "IFRAME",
+  "IMG",
+  "NOSCRIPT",
+  "OBJECT",
+  "PICTURE",
+  "SCRIPT",
+  "STYLE",
+  "SVG",
+  "TEMPLATE",
+  "VIDEO",
+]);
+
+/**
+ * Footnote references and footnote lists
+ * (as output by markdown-it-footnote, GitHub, Pandoc and Kramdown)
+ */
+const FOOTNOTE_SELECTOR = [
+  ".footnote-ref",
+  ".footnote-backref",
+  "a[role='doc-noteref']",
+  "a[role='doc-backlink']",
+  "a[data-footnote-ref]",
+  "sup[id^='fnref']",
+  "a[href^='#fn']",
+  ".footnotes",
+  "[role='doc-endnotes']",
+  "[data-footnotes]",
+].join(", ");
+
+/**
+ * Writes plain text, keeping track of line prefixes (quote markers and
+ * list indentation) and of the ranges of linked text
+ */
+class TextWriter {
+  text = "";
+  links = [];
+
+  #breaks = 0;
+  #breakQuoteDepth;
+  #space = false;
+  #quoteDepth = 0;
+  #listDepth = 0;
+  #marker = "";
+  #openLinks = [];
+
+  get #prefix() {
+    const quote = "> ".repeat(this.#quoteDepth);
+    if (this.#marker) {
+      return quote + this.#marker;
+    }
+
+    return quote + "  ".repeat(this.#listDepth);
+  }
+
+  /**
+   * Start a new block on a new line
+   * @param {number} [breaks] - Line breaks before block (2 for a blank line)
+   */
+  block(breaks = 2) {
+    // Blocks within list items aren’t separated by blank lines
+    if (this.#listDepth > 0) {
+      breaks = 1;
+    }
+
+    if (this.text) {
+      this.#breaks = Math.max(this.#breaks, breaks);
+      this.#breakQuoteDepth = Math.min(
+        this.#breakQuoteDepth ?? this.#quoteDepth,
+        this.#quoteDepth,
+      );
+    }
+
+    this.#space = false;
+  }
+
+  /**
+   * Start a list item
+   * @param {string} bullet - Bullet (like `•` or `1.`)
+   */
+  listItem(bullet) {
+    this.block(1);
+    this.#marker = `${"  ".repeat(this.#listDepth - 1)}${bullet} `;
+  }
+
+  /**
+   * Add whitespace before the next text, if it isn’t at the start of a line
+   */
+  space() {
+    this.#space = true;
+  }
+
+  enterList() {
+    this.block(2);
+    this.#listDepth++;
+  }
+
+  exitList() {
+    this.#listDepth--;
+    this.#marker = "";
+    this.block(2);
+  }
+
+  enterQuote() {
+    this.block(2);
+    this.#quoteDepth++;
+  }
+
+  exitQuote() {
+    this.#quoteDepth--;
+    this.block(2);
+  }
+
+  /**
+   * Start a link, whose range starts with the next text written
+   * @param {object} link - Link
+   */
+  openLink(link) {
+    this.#openLinks.push(link);
+  }
+
+  /**
+   * End a link, recording its range if it has any text
+   * @param {object} link - Link
+   */
+  closeLink(link) {
+    this.#openLinks = this.#openLinks.filter((open) => open !== link);
+    if (link.start !== undefined && this.text.length > link.start) {
+      link.end = this.text.length;
+      link.text = this.text.slice(link.start, link.end);
+      this.links.push(link);
+    }
+  }
+
+  /**
+   * Write separators (line breaks and prefixes, or a space) due before text
+   */
+  #flush() {
+    if (this.#breaks > 0 || !this.text) {
+      // Blank lines within quotes keep the quote marker
+      const quoteDepth = this.#breakQuoteDepth ?? this.#quoteDepth;
+      const quote = "> ".repeat(quoteDepth).trimEnd();
+      const blankLine = this.#breaks > 1 ? `\n${quote}` : "";
+      const newLine = this.#breaks > 0 ? "\n" : "";
+      this.text += blankLine + newLine + this.#prefix;
+      this.#marker = "";
+    } else if (this.#space && !/\s$/.test(this.text)) {
+      this.text += " ";
+    }
+
+    this.#breaks = 0;
+    this.#breakQuoteDepth = undefined;
+    this.#space = false;
+
+    for (const link of this.#openLinks) {
+      link.start ??= this.text.length;
+    }
+  }
+
+  /**
+   * Write text, collapsing whitespace
+   * @param {string} text - Text
+   */
+  write(text) {
+    const collapsed = text.replace(/\s+/g, " ");
+    if (collapsed.startsWith(" ")) {
+      this.#space = true;
+    }
+
+    const trimmed = collapsed.trim();
+    if (trimmed) {
+      this.#flush();
+      this.text += trimmed;
+    }
+
+    if (collapsed.endsWith(" ")) {
+      this.#space = true;
+    }
+  }
+
+  /**
+   * Write preformatted text, keeping whitespace and line breaks
+   * @param {string} text - Text
+   */
+  writePreformatted(text) {
+    const lines = text.replace(/^\n|\n$/g, "").split("\n");
+    if (lines.join("")) {
+      this.#flush();
+      this.text += lines.join(`\n${this.#prefix}`);
+    }
+  }
+
+  /**
+   * Start a new line (for `<br>`)
+   */
+  lineBreak() {
+    if (this.text) {
+      this.#breaks = Math.min(this.#breaks + 1, 2);
+    }
+  }
+}
+
+/**
+ * Write element and its descendants as plain text
+ * @param {TextWriter} writer - Text writer
+ * @param {Node} node - DOM node
+ * @param {string} [baseUrl] - URL to resolve relative links against
+ */
+function writeNode(writer, node, baseUrl) {
+  if (node.nodeType === 3) {
+    writer.write(node.textContent);
+    return;
+  }
+
+  if (node.nodeType !== 1 || SKIPPED_ELEMENTS.has(node.tagName)) {
+    return;
+  }
+
+  if (node.matches(FOOTNOTE_SELECTOR)) {
+    return;
+  }
+
+  const writeChildren = () => {
+    for (const child of node.childNodes) {
+      writeNode(writer, child, baseUrl);
+    }
+  };
+
+  switch (node.tagName) {
+    case "BR": {
+      writer.lineBreak();
+      return;
+    }
+
+    case "PRE": {
+      writer.block();
+      writer.writePreformatted(node.textContent);
+      writer.block();
+      return;
+    }
+
+    case "BLOCKQUOTE": {
+      writer.enterQuote();
+      writeChildren();
+      writer.exitQuote();
+      return;
+    }
+
+    case "UL":
+    case "OL": {
+      writer.enterList();
+      let number = Number(node.getAttribute("start")) || 1;
+      for (const child of node.children) {
+        if (child.tagName === "LI") {
+          writer.listItem(node.tagName === "OL" ? `${number++}.` : "•");
+          for (const grandchild of child.childNodes) {
+            writeNode(writer, grandchild, baseUrl);
+          }
+        }
+      }
+
+      writer.exitList();
+      return;
+    }
+
+    case "TR": {
+      writer.block(1);
+      [...node.children].forEach((cell, index) => {
+        if (index > 0) writer.write(" | ");
+        writeNode(writer, cell, baseUrl);
+      });
+      return;
+    }
+
+    case "A": {
+      const href = node.getAttribute("href");
+      let url;
+      try {
+        url = href && new URL(href, baseUrl).href;
+      } catch {
+        // Relative link without a base URL
+      }
+
+      // Fragment links (like a table of contents) lead nowhere outside page
+      if (!url || !/^https?:/.test(url) || href.startsWith("#")) {
+        writeChildren();
+        return;
+      }
+
+      const link = {
+        url,
+        rel: (node.getAttribute("rel") || "").split(/\s+/).filter(Boolean),
+        classes: [...node.classList],
+        hCard: node.classList.contains("h-card"),
+      };
+      writer.openLink(link);
+      writeChildren();
+      writer.closeLink(link);
+      return;
+    }
+
+    default: {
+      const isBlock = BLOCK_ELEMENTS.has(node.tagName);
+      if (isBlock) {
+        writer.block(node.tagName === "FIGCAPTION" ? 1 : 2);
+      } else if (node.tagName === "TD" || node.tagName === "TH") {
+        writer.space();
+      }
+
+      writeChildren();
+
+      if (isBlock) {
+        writer.block();
+      }
+    }
+  }
+}
+
+/**
+ * Parse HTML fragment
+ * @param {string} html - HTML
+ * @returns {DocumentFragment} Parsed nodes
+ */
+const parseHtml = (html) => {
+  const template = document.createElement("template");
+  template.innerHTML = html;
+  return template.content;
+};
+
+/**
+ * Convert HTML to plain text for a Bluesky post.
+ * Keeps paragraph breaks and line breaks, renders list items as `• item`
+ * (or `1. item`) and blockquotes with `> ` markers, keeps whitespace in
+ * preformatted text and strips footnotes. Links are left as their text,
+ * with the range of each one’s text reported so it can become a facet.
+ * @param {string} html - HTML
+ * @param {object} [options] - Options
+ * @param {string} [options.baseUrl] - URL to resolve relative links against
+ * @returns {{text: string, links: Array<{start: number, end: number, text: string, url: string, rel: Array<string>, classes: Array<string>, hCard: boolean}>}} Text and links (with start and end indexes in text)
+ */
+export function htmlToPlainText(html, options = {}) {
+  const writer = new TextWriter();
+  if (!html) {
+    return { text: "", links: [] };
+  }
+
+  for (const node of parseHtml(html).childNodes) {
+    writeNode(writer, node, options.baseUrl);
+  }
+
+  return { text: writer.text, links: writer.links };
+}
+
+/**
+ * Get images in HTML, for posting as images.
+ * Alt text is taken from the `alt` attribute, or else from the caption of
+ * the figure an image is in. Images without a URL that can be fetched (like
+ * data URLs) and tracking pixels are skipped.
+ * @param {string} html - HTML
+ * @param {object} [options] - Options
+ * @param {string} [options.baseUrl] - URL to resolve relative image URLs against
+ * @returns {Array<{url: string, alt: string}>} Images (without duplicates)
+ */
+export function extractHtmlImages(html, options = {}) {
+  if (!html) {
+    return [];
+  }
+
+  const images = [];
+  for (const img of parseHtml(html).querySelectorAll("img[src]")) {
+    let url;
+    try {
+      url = new URL(img.getAttribute("src"), options.baseUrl).href;
+    } catch {
+      // Relative URL without a base URL
+    }
+
+    const isPixel =
+      img.getAttribute("width") === "1" && img.getAttribute("height") === "1";
+    if (!url || !/^https?:/.test(url) || isPixel) {
+      continue;
+    }
+
+    if (images.some((image) => image.url === url)) {
+      continue;
+    }
+
+    const caption = img.closest("figure")?.querySelector("figcaption");
+    const alt =
+      img.getAttribute("alt")?.trim() ||
+      caption?.textContent.replace(/\s+/g, " ").trim() ||
+      "";
+
+    images.push({ url, alt });
+  }
+
+  return images;
+}
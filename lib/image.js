@@ -0,0 +1,253 @@
+import sharp from "sharp";
+
+/**
+ * Bluesky image limits
+ */
+export const IMAGE_LIMITS = {
+  maxSize: 1_000_000, // Bytes (not 1 MiB)
+  maxDimension: 2000, // Pixels, longest side (larger images are downscaled)
+};
+
+/**
+ * Formats Bluesky shows as they are
+ */
+const SUPPORTED_FORMATS = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+};
+
+/**
+ * Formats without lossy compression artefacts (screenshots, graphics)
+ */
+const LOSSLESS_FORMATS = new Set(["png", "gif", "svg", "tiff"]);
+
+/**
+ * Bounds of quality search for lossy formats
+ */
+const MAX_QUALITY = 90;
+const MIN_QUALITY = 40;
+
+/**
+ * Times to halve the quality range between bounds, and times to shrink
+ * image if it doesn’t fit at the lowest quality
+ */
+const QUALITY_STEPS = 4;
+const MAX_SHRINKS = 4;
+
+/**
+ * Get dimensions of image as displayed (after EXIF orientation)
+ * @param {object} metadata - Sharp metadata
+ * @returns {{width: number, height: number}} Dimensions
+ */
+function getDisplaySize({ width, height, orientation }) {
+  return orientation >= 5
+    ? { width: height, height: width }
+    : { width, height };
+}
+
+/**
+ * Encode image in a format
+ * @param {Buffer} buffer - Image data
+ * @param {object} options - Options
+ * @param {string} options.format - Output format (`jpeg`, `png` or `webp`)
+ * @param {number} [options.quality] - Quality of lossy formats
+ * @param {number} options.maxDimension - Longest side, in pixels
+ * @param {boolean} options.stripMetadata - Remove EXIF, GPS and other metadata
+ * @returns {Promise<{data: Buffer, info: object}>} Image data and info
+ */
+function encodeImage(buffer, options) {
+  const { format, quality, maxDimension, stripMetadata } = options;
+
+  // First frame only, as Bluesky doesn’t animate images
+  let image = sharp(buffer, { animated: false })
+    .rotate()
+    .resize(maxDimension, maxDimension, {
+      fit: "inside",
+      withoutEnlargement: true,
+    });
+
+  if (!stripMetadata) {
+    image = image.keepMetadata();
+  }
+
+  switch (format) {
+    case "png": {
+      image = image.png({ compressionLevel: 9 });
+      break;
+    }
+
+    case "webp": {
+      image = image.webp({ quality });
+      break;
+    }
+
+    default: {
+      image = image.flatten({ background: "#ffffff" }).jpeg({
+        quality,
+        mozjpeg: true,
+      });
+    }
+  }
+
+  return image.toBuffer({ resolveWithObject: true });
+}
+
+/**
+ * Encode image in a lossy format at the highest quality that fits
+ * @param {Buffer} buffer - Image data
+ * @param {object} options - Options (see `encodeImage`)
+ * @param {number} maxSize - Maximum size, in bytes
+ * @returns {Promise<{data: Buffer, info: object}|undefined>} Image data and info, or undefined if it doesn’t fit even at the lowest quality
+ */
+async function encodeLossy(buffer, options, maxSize) {
+  const encode = (quality) => encodeImage(buffer, { ...options, quality });
+  const fits = (encoded) => encoded.data.length <= maxSize;
+
+  // Most images fit at the highest quality
+  const highest = await encode(MAX_QUALITY);
+  if (fits(highest)) {
+    return highest;
+  }
+
+  let best = await encode(MIN_QUALITY);
+  if (!fits(best)) {
+    return;
+  }
+
+  // Binary search between lowest quality that fits and highest that doesn’t
+  let low = MIN_QUALITY;
+  let high = MAX_QUALITY;
+  for (let step = 0; step < QUALITY_STEPS && high - low > 1; step++) {
+    const quality = Math.floor((low + high) / 2);
+    const encoded = await encode(quality);
+    if (fits(encoded)) {
+      best = encoded;
+      low = quality;
+    } else {
+      high = quality;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Check if image can be uploaded as it is
+ * @param {Buffer} buffer - Image data
+ * @param {object} metadata - Sharp metadata
+ * @param {object} options - Options
+ * @param {number} options.maxSize - Maximum size, in bytes
+ * @param {number} options.maxDimension - Longest side, in pixels
+ * @param {boolean} options.stripMetadata - Remove EXIF, GPS and other metadata
+ * @returns {boolean} Image can be uploaded unchanged
+ */
+function canUploadUnchanged(buffer, metadata, options) {
+  const { maxSize, maxDimension, stripMetadata } = options;
+  const hasMetadata = Boolean(
+    metadata.exif || metadata.xmp || metadata.iptc || metadata.orientation > 1,
+  );
+
+  return (
+    Boolean(SUPPORTED_FORMATS[metadata.format]) &&
+    (metadata.pages || 1) === 1 &&
+    buffer.length <= maxSize &&
+    Math.max(metadata.width, metadata.height) <= maxDimension &&
+    (!stripMetadata || !hasMetadata)
+  );
+}
+
+/**
+ * Prepare image for Bluesky.
+ * Images are downscaled to fit within the maximum dimensions, rotated
+ * according to their EXIF orientation and stripped of EXIF, GPS and other
+ * metadata. Animated images become their first frame, and formats Bluesky
+ * doesn’t show (such as AVIF, GIF, TIFF or SVG) are converted. Photos are
+ * encoded as JPEG, and screenshots, graphics and images with transparency
+ * as PNG, or WebP if PNG is too large. The highest quality that fits the
+ * size limit is found, shrinking the image further if it doesn’t fit at the
+ * lowest quality. Images already within the limits are left as they are.
+ * @param {Buffer} buffer - Image data
+ * @param {string} mimeType - MIME type
+ * @param {object} [options] - Options
+ * @param {boolean} [options.stripMetadata] - Remove EXIF, GPS and other metadata
+ * @param {number} [options.maxSize] - Maximum size, in bytes
+ * @param {number} [options.maxDimension] - Longest side, in pixels
+ * @returns {Promise<{buffer: Buffer, mimeType: string, width?: number, height?: number}>} Image, with dimensions if known
+ */
+export async function processImage(buffer, mimeType, options = {}) {
+  const {
+    stripMetadata = true,
+    maxSize = IMAGE_LIMITS.maxSize,
+    maxDimension = IMAGE_LIMITS.maxDimension,
+  } = options;
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    // Can’t be decoded, upload as it is if Bluesky can show it
+    const isSupported = Object.values(SUPPORTED_FORMATS).includes(mimeType);
+    if (isSupported && buffer.length <= maxSize) {
+      return { buffer, mimeType };
+    }
+
+    throw new Error(`Unsupported image format ${mimeType}`, { cause: error });
+  }
+
+  if (
+    canUploadUnchanged(buffer, metadata, {
+      maxSize,
+      maxDimension,
+      stripMetadata,
+    })
+  ) {
+    return {
+      buffer,
+      mimeType: SUPPORTED_FORMATS[metadata.format],
+      ...getDisplaySize(metadata),
+    };
+  }
+
+  const isGraphic = metadata.hasAlpha || LOSSLESS_FORMATS.has(metadata.format);
+  let dimension = Math.min(
+    maxDimension,
+    Math.max(...Object.values(getDisplaySize(metadata))),
+  );
+
+  for (let shrink = 0; shrink <= MAX_SHRINKS; shrink++) {
+    const encodeOptions = { maxDimension: dimension, stripMetadata };
+
+    let encoded;
+    if (isGraphic) {
+      encoded = await encodeImage(buffer, { ...encodeOptions, format: "png" });
+      if (encoded.data.length > maxSize) {
+        encoded = await encodeLossy(
+          buffer,
+          { ...encodeOptions, format: "webp" },
+          maxSize,
+        );
+      }
+    } else {
+      encoded = await encodeLossy(
+        buffer,
+        { ...encodeOptions, format: "jpeg" },
+        maxSize,
+      );
+    }
+
+    if (encoded) {
+      const { data, info } = encoded;
+      return {
+        buffer: data,
+        mimeType: SUPPORTED_FORMATS[info.format],
+        width: info.width,
+        height: info.height,
+      };
+    }
+
+    dimension = Math.floor(dimension * 0.75);
+  }
+
+  throw new Error(`Image can’t be made smaller than ${maxSize} bytes`);
+}
@@ -0,0 +1,105 @@
+/**
+ * Bluesky post length limits
+ */
+export const MAX_GRAPHEMES = 300;
+export const MAX_BYTES = 3000;
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+const encoder = new TextEncoder();
+
+/**
+ * URLs in text, which are never cut
+ */
+export const URL_REGEX = /https?:\/\/\S+/g;
+
+/**
+ * Split text into grapheme clusters (user-perceived characters)
+ * @param {string} text - Text
+ * @returns {string[]} Grapheme clusters
+ */
+export const splitGraphemes = (text) =>
+  [...segmenter.segment(text)].map(({ segment }) => segment);
+
+/**
+ * Count graphemes in text, as Bluesky does
+ * @param {string} text - Text
+ * @returns {number} Number of graphemes
+ */
+export const graphemeLength = (text) => [...segmenter.segment(text)].length;
+
+/**
+ * Count UTF-8 bytes in text
+ * @param {string} text - Text
+ * @returns {number} Number of bytes
+ */
+export const byteLength = (text) => encoder.encode(text).byteLength;
+
+/**
+ * Check text fits within limits
+ * @param {string} text - Text
+ * @param {object} [options] - Options
+ * @param {number} [options.limit] - Maximum graphemes (`Infinity` disables limits)
+ * @param {number} [options.maxBytes] - Maximum bytes
+ * @returns {boolean} Text fits within limits
+ */
+export const fitsLimit = (text, options = {}) => {
+  const { limit = MAX_GRAPHEMES } = options;
+  const { maxBytes = Number.isFinite(limit) ? MAX_BYTES : Infinity } = options;
+
+  return byteLength(text) <= maxBytes && graphemeLength(text) <= limit;
+};
+
+/**
+ * Truncate text to fit within limits.
+ * Never cuts inside a grapheme cluster or a URL, and prefers to cut between
+ * words. A suffix (for example a permalink) is always preserved.
+ * @param {string} text - Text
+ * @param {object} [options] - Options
+ * @param {number} [options.limit] - Maximum graphemes (`Infinity` disables limits)
+ * @param {number} [options.maxBytes] - Maximum bytes
+ * @param {string} [options.suffix] - Text to append after truncated text
+ * @param {string} [options.ellipsis] - Text to mark truncation with
+ * @returns {string} Text (with suffix) fitting within limits
+ */
+export function truncateText(text, options = {}) {
+  const { limit = MAX_GRAPHEMES, suffix = "", ellipsis = "…" } = options;
+  const { maxBytes = Number.isFinite(limit) ? MAX_BYTES : Infinity } = options;
+
+  if (fitsLimit(text + suffix, { limit, maxBytes })) {
+    return text + suffix;
+  }
+
+  const end = ellipsis + suffix;
+  let graphemesLeft = limit - graphemeLength(end);
+  let bytesLeft = maxBytes - byteLength(end);
+
+  // Longest run of whole graphemes that fits
+  let cut = "";
+  for (const grapheme of splitGraphemes(text)) {
+    const bytes = byteLength(grapheme);
+    if (graphemesLeft < 1 || bytes > bytesLeft) break;
+    cut += grapheme;
+    graphemesLeft--;
+    bytesLeft -= bytes;
+  }
+
+  // Don’t leave a partial URL behind
+  for (const match of text.matchAll(URL_REGEX)) {
+    const urlEnd = match.index + match[0].length;
+    if (match.index < cut.length && urlEnd > cut.length) {
+      cut = cut.slice(0, match.index);
+      break;
+    }
+  }
+
+  // Cut between words, unless that would lose too much text (e.g. CJK)
+  const nextCharacter = text.charAt(cut.length);
+  if (nextCharacter && !/\s/.test(nextCharacter)) {
+    const lastSpace = cut.search(/\s\S*$/);
+    if (lastSpace > cut.length / 2) {
+      cut = cut.slice(0, lastSpace);
+    }
+  }
+
+  return cut.trimEnd() + end;
+}
@@ -0,0 +1,147 @@
+import { JSDOM } from "jsdom";
+
+import { isBlueskyUrl, parseProfileUrl, resolveActor } from "./uri.js";
+
+/**
+ * Resolutions of people (URLs or identifiers) to DIDs, with their expiry
+ * times, for each lookup table (accounts can have different tables)
+ * @type {WeakMap<object, Map<string, {did?: string, expires: number}>>}
+ */
+const resolvedPeople = new WeakMap();
+
+/**
+ * Lookup table used if none is given
+ */
+const NO_LOOKUP = {};
+
+/**
+ * Times to keep people resolved to a DID, and people not found (sites can be
+ * unavailable for a while), in milliseconds
+ */
+const RESOLVED_TTL = 24 * 60 * 60 * 1000;
+const NOT_FOUND_TTL = 10 * 60 * 1000;
+
+/**
+ * Normalise person URL for comparison and lookup
+ * @param {string} url - URL
+ * @returns {string} URL without trailing slash
+ */
+export const normalizePersonUrl = (url) => url.trim().replace(/\/$/, "");
+
+/**
+ * Fetch text from a URL, with a timeout
+ * @param {string} url - URL
+ * @returns {Promise<string|undefined>} Response text
+ */
+async function fetchText(url) {
+  try {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 5000);
+    const response = await fetch(url, {
+      headers: {
+        "User-Agent":
+          "Mozilla/5.0 (compatible; Indiekit/1.0; +https://getindiekit.com)",
+      },
+      redirect: "follow",
+      signal: controller.signal,
+    });
+    clearTimeout(timeoutId);
+
+    if (response.ok) {
+      return await response.text();
+    }
+  } catch {
+    // Site unavailable
+  }
+}
+
+/**
+ * Get DID a site publishes for its domain (used as a Bluesky handle)
+ * @param {string} url - Site URL
+ * @returns {Promise<string|undefined>} DID
+ */
+export async function fetchAtprotoDid(url) {
+  const text = await fetchText(new URL("/.well-known/atproto-did", url).href);
+  const did = text?.trim();
+  return did?.startsWith("did:") ? did : undefined;
+}
+
+/**
+ * Get Bluesky profile a site links to with `rel="me"`
+ * @param {string} url - Site URL
+ * @param {Array<string>} [hosts] - Bluesky web app hosts
+ * @returns {Promise<string|undefined>} Handle or DID
+ */
+export async function fetchRelMeActor(url, hosts) {
+  const html = await fetchText(url);
+  if (!html) {
+    return;
+  }
+
+  const cleanHtml = html.replace(/<style[\s\S]*?<\/style>/gi, "");
+  const dom = new JSDOM(cleanHtml, { url });
+  const links = dom.window.document.querySelectorAll('[rel~="me"][href]');
+
+  for (const link of links) {
+    const actor = parseProfileUrl(link.href, hosts);
+    if (actor) {
+      return actor;
+    }
+  }
+}
+
+/**
+ * Resolve a person to a Bluesky DID.
+ * Tries the lookup table, then DIDs and Bluesky profile URLs, then sites
+ * that publish their Bluesky identity.
+ * @param {import("@atproto/api").Agent} client - AT Protocol agent
+ * @param {string} person - Profile URL, site URL, DID or name
+ * @param {object} [options] - Options
+ * @param {object} [options.lookup] - Handles or DIDs keyed by URL or name
+ * @param {Array<string>} [options.hosts] - Bluesky web app hosts
+ * @returns {Promise<string|undefined>} DID
+ */
+export async function resolveMention(client, person, options = {}) {
+  const { lookup = NO_LOOKUP, hosts } = options;
+  const key = normalizePersonUrl(person);
+
+  if (!resolvedPeople.has(lookup)) {
+    resolvedPeople.set(lookup, new Map());
+  }
+
+  const resolved = resolvedPeople.get(lookup);
+  const cached = resolved.get(key);
+  if (cached && cached.expires > Date.now()) {
+    return cached.did;
+  }
+
+  let did;
+  try {
+    // Only profile URLs of Bluesky apps identify people
+    const isBluesky = isBlueskyUrl(key, hosts);
+    const actor =
+      lookup[person] ||
+      lookup[key] ||
+      (key.startsWith("did:") && key) ||
+      (isBluesky && parseProfileUrl(key, hosts));
+
+    if (actor) {
+      did = await resolveActor(client, actor);
+    } else if (/^https?:\/\//.test(key) && !isBluesky) {
+      did = await fetchAtprotoDid(key);
+
+      if (!did) {
+        const relMeActor = await fetchRelMeActor(key, hosts);
+        did = relMeActor && (await resolveActor(client, relMeActor));
+      }
+    }
+
+    const ttl = did ? RESOLVED_TTL : NOT_FOUND_TTL;
+    resolved.set(key, { did, expires: Date.now() + ttl });
+  } catch (error) {
+    // Failed lookups aren’t kept, so they are tried again next time
+    console.warn(`[Bluesky] Failed to resolve ${person}: ${error.message}`);
+  }
+
+  return did;
+}
@@ -0,0 +1,251 @@
+import process from "node:process";
+import { Agent, AtpAgent } from "@atproto/api";
+
+import { withRetry } from "./retry.js";
+import { resolveActor } from "./uri.js";
+
+const SCOPE = "atproto transition:generic";
+
+/**
+ * Oldest Node.js version the OAuth client runs on
+ */
+const OAUTH_NODE_VERSION = [22, 19];
+
+/**
+ * Check if running Node.js version can load the OAuth client
+ * @returns {boolean} Node.js version is supported
+ */
+const isOAuthSupported = () => {
+  const [major, minor] = process.versions.node.split(".").map(Number);
+  const [minMajor, minMinor] = OAUTH_NODE_VERSION;
+
+  return major > minMajor || (major === minMajor && minor >= minMinor);
+};
+
+/**
+ * OAuth clients shared between syndicator instances and syndication calls
+ * @type {Map<string, OAuth>}
+ */
+const oauthClients = new Map();
+
+/**
+ * Create a key-value store, kept in a database collection if available
+ * @param {Function} getCollection - Get database collection
+ * @returns {object} Store with `get`, `set` and `del` methods
+ */
+const createStore = (getCollection) => {
+  const memory = new Map();
+
+  return {
+    async get(key) {
+      const collection = getCollection();
+      if (!collection) {
+        return memory.get(key);
+      }
+
+      const document = await collection.findOne({ _id: key });
+      return document?.value;
+    },
+
+    async set(key, value) {
+      const collection = getCollection();
+      if (!collection) {
+        memory.set(key, value);
+        return;
+      }
+
+      await collection.updateOne(
+        { _id: key },
+        { $set: { value, updated: new Date().toISOString() } },
+        { upsert: true },
+      );
+    },
+
+    async del(key) {
+      const collection = getCollection();
+      if (!collection) {
+        memory.delete(key);
+        return;
+      }
+
+      await collection.deleteOne({ _id: key });
+    },
+  };
+};
+
+/**
+ * OAuth (DPoP) authenticated AT Protocol session.
+ * Keys and tokens are stored in the Indiekit database (or in memory if there
+ * is no database) and refreshed automatically.
+ */
+export class OAuth {
+  #client;
+
+  /**
+   * @param {object} options - OAuth options
+   * @param {string} options.handle - Handle of account to authorize
+   * @param {string} options.serviceUrl - Service URL (used to resolve handle)
+   * @param {string} options.clientUrl - Public URL of Indiekit server
+   * @param {string} options.mountPath - Path OAuth routes are mounted at
+   * @param {Function} [options.getCollection] - Get database collection by name
+   * @param {object} [options.retry] - Retry options
+   */
+  constructor(options) {
+    this.handle = options.handle?.replace("@", "");
+    this.serviceUrl = options.serviceUrl;
+    this.clientUrl = options.clientUrl;
+    this.mountPath = options.mountPath;
+    this.getCollection = options.getCollection;
+    this.retry = options.retry;
+  }
+
+  /**
+   * Client ID (URL of client metadata)
+   * @returns {string} Client ID
+   */
+  get clientId() {
+    return new URL(`${this.mountPath}/client-metadata.json`, this.clientUrl)
+      .href;
+  }
+
+  /**
+   * Client metadata, published at client ID URL
+   * @returns {object} OAuth client metadata
+   */
+  get clientMetadata() {
+    if (!this.clientUrl) {
+      throw new Error(
+        "Bluesky OAuth needs the public URL of your Indiekit server. Set `application.url` in your Indiekit configuration, or the `oauthClientUrl` plug-in option.",
+      );
+    }
+
+    return {
+      client_id: this.clientId,
+      client_name: "Indiekit",
+      client_uri: new URL(this.clientUrl).href,
+      redirect_uris: [new URL(`${this.mountPath}/callback`, this.clientUrl).href],
+      scope: SCOPE,
+      grant_types: ["authorization_code", "refresh_token"],
+      response_types: ["code"],
+      application_type: "web",
+      token_endpoint_auth_method: "none",
+      dpop_bound_access_tokens: true,
+    };
+  }
+
+  /**
+   * Get OAuth client
+   * @returns {Promise<import("@atproto/oauth-client-node").NodeOAuthClient>} OAuth client
+   */
+  async getClient() {
+    if (!this.#client) {
+      // Only loaded when OAuth is used, as it needs a newer Node.js version
+      // (older versions fail while loading it, not always catchably)
+      const requirement = `Bluesky OAuth requires Node.js ${OAUTH_NODE_VERSION.join(".")} or later (running ${process.version}). Upgrade Node.js, or use an app password instead.`;
+      if (!isOAuthSupported()) {
+        throw new Error(requirement);
+      }
+
+      let NodeOAuthClient;
+      let requestLocalLock;
+      try {
+        ({ NodeOAuthClient, requestLocalLock } = await import(
+          "@atproto/oauth-client-node"
+        ));
+      } catch (error) {
+        throw new Error(`Failed to load Bluesky OAuth client. ${requirement}`, {
+          cause: error,
+        });
+      }
+
+      this.#client = new NodeOAuthClient({
+        clientMetadata: this.clientMetadata,
+        stateStore: createStore(() =>
+          this.getCollection?.("blueskyOAuthStates"),
+        ),
+        sessionStore: createStore(() =>
+          this.getCollection?.("blueskyOAuthSessions"),
+        ),
+        requestLock: requestLocalLock,
+      });
+    }
+
+    return this.#client;
+  }
+
+  /**
+   * Get URL to send user to, to authorize Indiekit
+   * @returns {Promise<URL>} Authorization URL
+   */
+  async authorize() {
+    const client = await this.getClient();
+    return client.authorize(this.handle, { scope: SCOPE });
+  }
+
+  /**
+   * Complete authorization, storing session
+   * @param {URLSearchParams} params - Callback query parameters
+   * @returns {Promise<string>} DID of authorized account
+   */
+  async callback(params) {
+    const client = await this.getClient();
+    const { session } = await client.callback(params);
+    return session.did;
+  }
+
+  /**
+   * Get authenticated AT Protocol agent
+   * @returns {Promise<Agent>} AT Protocol agent
+   */
+  async getAgent() {
+    const did = await resolveActor(
+      new AtpAgent({
+        service: this.serviceUrl,
+        fetch: withRetry(globalThis.fetch, this.retry),
+      }),
+      this.handle,
+    );
+
+    const client = await this.getClient();
+
+    let session;
+    try {
+      // Refreshes tokens if they have expired
+      session = await client.restore(did);
+    } catch (error) {
+      throw new Error(
+        `Bluesky account @${this.handle} is not authorized (${error.message}). Authorize it at ${new URL(`${this.mountPath}/authorize`, this.clientUrl).href}`,
+        { cause: error },
+      );
+    }
+
+    return new Agent({
+      did: session.did,
+      fetchHandler: withRetry(
+        (url, init) => session.fetchHandler(url, init),
+        this.retry,
+      ),
+    });
+  }
+}
+
+/**
+ * Get shared OAuth session for an account, creating it if needed
+ * @param {object} options - OAuth options (see `OAuth`)
+ * @returns {OAuth} OAuth session
+ */
+export const getOAuth = (options) => {
+  const id = `${options.clientUrl}|${options.mountPath}|${options.handle}`;
+  let oauth = oauthClients.get(id);
+
+  if (!oauth) {
+    oauth = new OAuth(options);
+    oauthClients.set(id, oauth);
+  }
+
+  if (options.getCollection) {
+    oauth.getCollection = options.getCollection;
+  }
+
+  return oauth;
+};
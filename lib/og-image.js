@@ -0,0 +1,289 @@
+import { Buffer } from "node:buffer";
+import { readFile } from "node:fs/promises";
+import sharp from "sharp";
+
+import { escapeXml } from "./utils.js";
+
+/**
+ * Default OG image configuration
+ */
+const DEFAULT_OG_CONFIG = {
+  width: 1200,
+  height: 630,
+  backgroundColor: "#1a1a2e", // Dark blue-purple
+  textColor: "#ffffff",
+  accentColor: "#e94560", // Coral/red accent
+  fontFamily: "sans-serif",
+  fonts: [], // Font files to load, so `fontFamily` can use them
+  logo: "", // Path or URL of logo or avatar image
+  logoShape: "square", // Show logo as is, or cropped to a "circle"
+  layout: "title", // "title", "title-description" or "title-author-date"
+  locale: "en", // Locale used to format dates
+};
+
+/**
+ * Layouts of default OG image
+ */
+export const OG_LAYOUTS = ["title", "title-description", "title-author-date"];
+
+/**
+ * Font files loaded so far
+ */
+const loadedFonts = new Set();
+
+/**
+ * Logo images loaded so far, as data URLs
+ */
+const loadedLogos = new Map();
+
+/**
+ * Wrap text into lines that fit within a width
+ * @param {string} text - Text to wrap
+ * @param {number} maxCharsPerLine - Maximum characters per line
+ * @param {number} maxLines - Maximum number of lines
+ * @returns {string[]} Array of lines
+ */
+export function wrapText(text, maxCharsPerLine = 35, maxLines = 4) {
+  const words = text.split(/\s+/);
+  const lines = [];
+  let currentLine = "";
+
+  for (const word of words) {
+    if (lines.length >= maxLines) break;
+
+    const testLine = currentLine ? `${currentLine} ${word}` : word;
+
+    if (testLine.length <= maxCharsPerLine) {
+      currentLine = testLine;
+    } else {
+      if (currentLine) {
+        lines.push(currentLine);
+        currentLine = word;
+      } else {
+        // Word is longer than max, truncate it
+        lines.push(word.slice(0, maxCharsPerLine - 3) + "...");
+        currentLine = "";
+      }
+    }
+  }
+
+  if (currentLine && lines.length < maxLines) {
+    lines.push(currentLine);
+  }
+
+  // Add ellipsis to last line if we truncated
+  if (lines.length === maxLines && words.length > lines.join(" ").split(/\s+/).length) {
+    const lastLine = lines[maxLines - 1];
+    if (lastLine.length > maxCharsPerLine - 3) {
+      lines[maxLines - 1] = lastLine.slice(0, maxCharsPerLine - 3) + "...";
+    } else if (!lastLine.endsWith("...")) {
+      lines[maxLines - 1] = lastLine + "...";
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Make font files available to SVG text rendering.
+ * Rendering text with a font file registers it with fontconfig.
+ * @param {Array<string>} fonts - Paths of font files (TTF or OTF)
+ */
+async function loadFonts(fonts) {
+  for (const fontfile of fonts) {
+    if (loadedFonts.has(fontfile)) continue;
+
+    await sharp({ text: { text: "a", fontfile } }).png().toBuffer();
+    loadedFonts.add(fontfile);
+  }
+}
+
+/**
+ * Load logo image as a data URL
+ * @param {string} logo - Path or URL of image
+ * @returns {Promise<string>} Data URL of PNG image
+ */
+async function loadLogo(logo) {
+  if (!loadedLogos.has(logo)) {
+    let buffer;
+    if (/^https?:\/\//.test(logo)) {
+      const response = await fetch(logo, {
+        signal: AbortSignal.timeout(10_000),
+      });
+      if (!response.ok) {
+        throw new Error(`Failed to fetch logo ${logo}: ${response.status}`);
+      }
+
+      buffer = Buffer.from(await response.arrayBuffer());
+    } else {
+      buffer = await readFile(logo);
+    }
+
+    const png = await sharp(buffer).png().toBuffer();
+    loadedLogos.set(logo, `data:image/png;base64,${png.toString("base64")}`);
+  }
+
+  return loadedLogos.get(logo);
+}
+
+/**
+ * Format date shown on OG image
+ * @param {string} published - Date (ISO 8601)
+ * @param {string} locale - Locale
+ * @returns {string} Formatted date, or empty string if date is invalid
+ */
+function formatDate(published, locale) {
+  const date = new Date(published);
+  if (!published || Number.isNaN(date.getTime())) {
+    return "";
+  }
+
+  return date.toLocaleDateString(locale, { dateStyle: "long" });
+}
+
+/**
+ * Render default OG image template
+ * @param {object} card - Card content and configuration
+ * @returns {string} SVG
+ */
+function renderTemplate(card) {
+  const { width, height, backgroundColor, textColor, accentColor, fontFamily } =
+    card;
+  const font = escapeXml(fontFamily);
+
+  // Secondary text below title, depending on layout
+  let subtitleLines = [];
+  if (card.layout === "title-description" && card.description) {
+    subtitleLines = wrapText(card.description, 60, 2);
+  } else if (card.layout === "title-author-date") {
+    const byline = [card.author, card.date].filter(Boolean).join(" · ");
+    subtitleLines = byline ? [byline] : [];
+  }
+
+  // Wrap title into multiple lines
+  const titleLines = wrapText(card.title, 35, subtitleLines.length ? 3 : 4);
+  const fontSize = titleLines.length > 2 ? 48 : 56;
+  const lineHeight = fontSize * 1.3;
+  const subtitleFontSize = 30;
+  const subtitleLineHeight = subtitleFontSize * 1.4;
+  const subtitleGap = subtitleLines.length ? 24 : 0;
+
+  // Calculate vertical position to center the text block
+  const textBlockHeight =
+    titleLines.length * lineHeight +
+    subtitleGap +
+    subtitleLines.length * subtitleLineHeight;
+  const startY = (height - textBlockHeight) / 2 + fontSize * 0.8;
+  const subtitleStartY =
+    startY +
+    (titleLines.length - 1) * lineHeight +
+    subtitleGap +
+    subtitleLineHeight;
+
+  // Generate title text elements
+  const titleElements = titleLines
+    .map((line, i) => {
+      const y = startY + i * lineHeight;
+      return `<text x="${width / 2}" y="${y}" text-anchor="middle" font-size="${fontSize}" font-weight="bold" fill="${textColor}" font-family="${font}">${escapeXml(line)}</text>`;
+    })
+    .join("\n    ");
+
+  const subtitleElements = subtitleLines
+    .map((line, i) => {
+      const y = subtitleStartY + i * subtitleLineHeight;
+      return `<text x="${width / 2}" y="${y}" text-anchor="middle" font-size="${subtitleFontSize}" fill="${textColor}" opacity="0.8" font-family="${font}">${escapeXml(line)}</text>`;
+    })
+    .join("\n    ");
+
+  // Logo in top left corner, optionally cropped to a circle
+  const logoSize = 96;
+  const logoX = 80;
+  const logoY = 56;
+  const circle = card.logoShape === "circle";
+  const logoClip = circle
+    ? `<circle cx="${logoX + logoSize / 2}" cy="${logoY + logoSize / 2}" r="${logoSize / 2}"/>`
+    : `<rect x="${logoX}" y="${logoY}" width="${logoSize}" height="${logoSize}"/>`;
+  const logoElement = card.logo
+    ? `<clipPath id="logo-clip">${logoClip}</clipPath>
+  <image x="${logoX}" y="${logoY}" width="${logoSize}" height="${logoSize}" href="${card.logo}" preserveAspectRatio="xMidYMid ${circle ? "slice" : "meet"}" clip-path="url(#logo-clip)"/>`
+    : "";
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+  <!-- Background -->
+  <rect width="${width}" height="${height}" fill="${backgroundColor}"/>
+
+  <!-- Decorative elements -->
+  <rect x="0" y="0" width="${width}" height="8" fill="${accentColor}"/>
+  <rect x="0" y="${height - 80}" width="${width}" height="80" fill="${accentColor}" opacity="0.1"/>
+
+  <!-- Decorative circles -->
+  <circle cx="100" cy="100" r="200" fill="${accentColor}" opacity="0.05"/>
+  <circle cx="${width - 100}" cy="${height - 100}" r="150" fill="${accentColor}" opacity="0.05"/>
+
+  <!-- Logo -->
+  ${logoElement}
+
+  <!-- Title -->
+  ${titleElements}
+
+  <!-- Subtitle -->
+  ${subtitleElements}
+
+  <!-- Site name -->
+  <text x="${width / 2}" y="${height - 30}" text-anchor="middle" font-size="24" fill="${textColor}" opacity="0.7" font-family="${font}">${escapeXml(card.siteName)}</text>
+</svg>`;
+}
+
+/**
+ * Generate a default OG image with title text
+ * @param {string} title - Title text to display
+ * @param {object} [options] - Configuration options
+ * @param {string} [options.siteName] - Site name to display
+ * @param {string} [options.description] - Description (shown by `title-description` layout)
+ * @param {string} [options.author] - Author name (shown by `title-author-date` layout)
+ * @param {string} [options.published] - Publication date (shown by `title-author-date` layout)
+ * @param {string} [options.url] - URL of page image is for
+ * @param {number} [options.width] - Image width
+ * @param {number} [options.height] - Image height
+ * @param {string} [options.backgroundColor] - Background color
+ * @param {string} [options.textColor] - Text color
+ * @param {string} [options.accentColor] - Accent color for decorations
+ * @param {string} [options.fontFamily] - Font family (can be a comma-separated list)
+ * @param {Array<string>} [options.fonts] - Paths of font files to load
+ * @param {string} [options.logo] - Path or URL of logo or avatar image
+ * @param {string} [options.logoShape] - Show logo as is (`square`) or cropped to a `circle`
+ * @param {string} [options.layout] - Layout (`title`, `title-description` or `title-author-date`)
+ * @param {string} [options.locale] - Locale used to format dates
+ * @param {Function} [options.template] - Function returning SVG for a card, used instead of built-in layouts
+ * @returns {Promise<Buffer>} PNG image buffer
+ */
+export async function generateDefaultOgImage(title, options = {}) {
+  const { template, ...config } = { ...DEFAULT_OG_CONFIG, ...options };
+
+  if (!template && !OG_LAYOUTS.includes(config.layout)) {
+    throw new Error(`Unknown OG image layout ${config.layout}`);
+  }
+
+  await loadFonts(config.fonts);
+
+  const card = {
+    ...config,
+    title,
+    siteName: config.siteName || "",
+    date: formatDate(config.published, config.locale),
+    logo: config.logo ? await loadLogo(config.logo) : "",
+  };
+
+  const svg = template
+    ? await template(card, { escapeXml, wrapText })
+    : renderTemplate(card);
+
+  // Convert SVG to PNG using sharp
+  const pngBuffer = await sharp(Buffer.from(svg))
+    .resize(config.width, config.height, { fit: "cover" })
+    .png({ quality: 90 })
+    .toBuffer();
+
+  return pngBuffer;
+}
@@ -0,0 +1,135 @@
+import { getCanonicalUrl } from "@indiekit/util";
+
+/**
+ * Derive the OG image slug from a URL path.
+ * Handles both Indiekit format (/type/YYYY/MM/DD/slug)
+ * and Eleventy format (/content/type/YYYY-MM-DD-slug/).
+ * @param {string} urlPath - URL pathname
+ * @returns {string|null} OG image slug or null
+ */
+export function urlToOgSlug(urlPath) {
+  // Strip trailing slash before matching
+  const path = urlPath.replace(/\/$/, "");
+
+  // Indiekit format: /notes/2026/02/18/slug → 2026-02-18-slug
+  const indiekitMatch = path.match(
+    /\/\w+\/(\d{4})\/(\d{2})\/(\d{2})\/(.+?)$/,
+  );
+  if (indiekitMatch) {
+    return `${indiekitMatch[1]}-${indiekitMatch[2]}-${indiekitMatch[3]}-${indiekitMatch[4]}`;
+  }
+  // Eleventy format: /content/type/2026-02-18-slug/ → 2026-02-18-slug
+  const lastSegment = path.split("/").pop();
+  return lastSegment || null;
+}
+
+/**
+ * Built-in sources of link card images for own posts
+ */
+export const OG_IMAGE_PRESETS = {
+  // Image pre-generated by the theme (Eleventy with Satori + resvg)
+  eleventy: (url, { me }) => {
+    const slug = urlToOgSlug(new URL(url).pathname);
+    return slug && `${me}/og/${slug}.png`;
+  },
+
+  // Post’s `featured` property
+  featured: (url, { me, properties }) => {
+    const featured = [properties?.featured].flat()[0];
+    const featuredUrl = featured?.url || featured;
+    return typeof featuredUrl === "string"
+      ? getCanonicalUrl(featuredUrl, me)
+      : undefined;
+  },
+
+  // Page’s `og:image` meta tag
+  "og:image": (url, { ogData }) => ogData?.imageUrl,
+};
+
+/**
+ * Get values of URL template placeholders for a post
+ * @param {string} url - Post URL
+ * @param {object} context - Lookup context
+ * @param {string} context.me - Publication URL (without trailing slash)
+ * @param {object} [context.properties] - JF2 properties of post
+ * @returns {object} Placeholder values
+ */
+export function getPlaceholders(url, { me, properties }) {
+  const { origin, pathname } = new URL(url);
+  const path = pathname.replace(/^\/|\/$/g, "");
+  // Last path segment, without any file extension (like `.html`)
+  const slug = path.split("/").pop().replace(/\.\w+$/, "");
+
+  // Date from URL path, or else from published date
+  const pathDate = path.match(/(\d{4})[/-](\d{2})[/-](\d{2})/);
+  const published = properties?.published?.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  const [, year, month, day] = pathDate || published || [];
+
+  return {
+    me,
+    origin,
+    path,
+    slug,
+    ogSlug: urlToOgSlug(pathname),
+    year,
+    month,
+    day,
+  };
+}
+
+/**
+ * Fill in URL template placeholders (like `{me}/og/{slug}.png`)
+ * @param {string} template - URL template
+ * @param {object} placeholders - Placeholder values
+ * @returns {string|undefined} URL, or undefined if a placeholder has no value
+ */
+export function fillUrlTemplate(template, placeholders) {
+  let missing = false;
+  const url = template.replace(/{(\w+)}/g, (match, name) => {
+    const value = placeholders[name];
+    if (!value) {
+      missing = true;
+    }
+
+    return value || "";
+  });
+
+  return missing ? undefined : url;
+}
+
+/**
+ * Get URLs of candidate link card images for an own post, in order
+ * @param {string|Function|Array|boolean} sources - Preset name, URL template, resolver function, an array of these, or `false`
+ * @param {string} url - Post URL
+ * @param {object} context - Lookup context
+ * @param {string} context.me - Publication URL (without trailing slash)
+ * @param {object} [context.properties] - JF2 properties of post
+ * @param {object} [context.ogData] - OpenGraph data of post
+ * @returns {Promise<Array<string>>} Image URLs
+ */
+export async function getOwnOgImageUrls(sources, url, context) {
+  const imageUrls = [];
+
+  for (const source of [sources].flat()) {
+    let imageUrl;
+    if (!source) {
+      continue;
+    } else if (typeof source === "function") {
+      imageUrl = await source(url, context);
+    } else if (OG_IMAGE_PRESETS[source]) {
+      imageUrl = OG_IMAGE_PRESETS[source](url, context);
+    } else if (typeof source === "string" && source.includes("{")) {
+      imageUrl = fillUrlTemplate(source, getPlaceholders(url, context));
+    } else {
+      console.warn(`[Bluesky] Unknown OG image source ${source}`);
+      continue;
+    }
+
+    const href = imageUrl && new URL(imageUrl, context.me).href;
+    if (href && !imageUrls.includes(href)) {
+      imageUrls.push(href);
+    }
+  }
+
+  return imageUrls;
+}
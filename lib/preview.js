@@ -0,0 +1,106 @@
+import { Buffer } from "node:buffer";
+
+import { byteLength, graphemeLength } from "./length.js";
+
+/**
+ * Get type and value of a rich text facet
+ * @param {object} facet - Rich text facet
+ * @returns {{type: string, value: string}} Facet type (`link`, `mention` or `tag`) and value
+ */
+const getFacetFeature = (facet) => {
+  const feature = facet.features[0] || {};
+  const type = feature.$type?.split("#").pop();
+  return { type, value: feature.uri || feature.did || feature.tag };
+};
+
+/**
+ * Describe facets of post text, with the text each one covers
+ * @param {string} text - Post text
+ * @param {Array<object>} [facets] - Rich text facets
+ * @returns {Array<object>} Facets
+ */
+export const describeFacets = (text, facets = []) => {
+  const bytes = Buffer.from(text);
+
+  return facets.map((facet) => {
+    const { byteStart, byteEnd } = facet.index;
+    return {
+      ...getFacetFeature(facet),
+      text: bytes.subarray(byteStart, byteEnd).toString(),
+      byteStart,
+      byteEnd,
+    };
+  });
+};
+
+/**
+ * Mark text covered by facets with square brackets
+ * @param {string} text - Post text
+ * @param {Array<object>} [facets] - Rich text facets
+ * @returns {string} Highlighted text
+ */
+export const highlightFacets = (text, facets = []) => {
+  const bytes = Buffer.from(text);
+  const sorted = [...facets].sort(
+    (a, b) => a.index.byteStart - b.index.byteStart,
+  );
+
+  let highlighted = "";
+  let position = 0;
+  for (const { index } of sorted) {
+    if (index.byteStart < position) {
+      continue;
+    }
+
+    highlighted += bytes.subarray(position, index.byteStart).toString();
+    const facetText = bytes.subarray(index.byteStart, index.byteEnd);
+    highlighted += `[${facetText.toString()}]`;
+    position = index.byteEnd;
+  }
+
+  return highlighted + bytes.subarray(position).toString();
+};
+
+/**
+ * Get external link card from record embed
+ * @param {object} [embed] - Record embed
+ * @returns {object|undefined} External link card
+ */
+const getExternal = (embed) =>
+  embed?.$type === "app.bsky.embed.external" ? embed.external : undefined;
+
+/**
+ * Describe records and blobs collected during a dry run
+ * @param {object} preview - Dry run results
+ * @param {Array<{collection: string, uri: string, record: object}>} preview.records - Records that would be created
+ * @param {Array<object>} preview.blobs - Blobs that would be uploaded
+ * @returns {object} Preview
+ */
+export const describePreview = ({ records, blobs }) => {
+  const getBlob = (ref) => blobs.find((blob) => blob.ref === ref?.ref?.$link);
+
+  const posts = records.map(({ collection, uri, record }) => {
+    const text = record.text || "";
+    return {
+      collection,
+      uri,
+      record,
+      graphemes: graphemeLength(text),
+      bytes: byteLength(text),
+      facets: describeFacets(text, record.facets),
+      highlighted: highlightFacets(text, record.facets),
+    };
+  });
+
+  const external = records
+    .map(({ record }) => getExternal(record.embed))
+    .find(Boolean);
+  const card = external && {
+    uri: external.uri,
+    title: external.title,
+    description: external.description,
+    thumb: getBlob(external.thumb),
+  };
+
+  return { posts, card, blobs };
+};
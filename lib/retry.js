@@ -0,0 +1,213 @@
+import { setTimeout } from "node:timers/promises";
+
+/**
+ * Default retry options
+ */
+export const RETRY_DEFAULTS = {
+  maxRetries: 3,
+  baseDelay: 1000,
+  maxDelay: 60_000,
+};
+
+/**
+ * XRPC procedures that can safely be repeated if their outcome is unknown
+ */
+const IDEMPOTENT_PROCEDURES = new Set([
+  "com.atproto.repo.deleteRecord",
+  "com.atproto.repo.putRecord",
+  "com.atproto.repo.uploadBlob",
+]);
+
+/**
+ * XRPC procedures that can be made conditional on the current version of a
+ * record (`swapRecord`) or repository (`swapCommit`). Repeating a
+ * conditional request that succeeded fails, as the version has changed.
+ */
+const SWAP_PROCEDURES = new Set([
+  "com.atproto.repo.deleteRecord",
+  "com.atproto.repo.putRecord",
+]);
+
+/**
+ * Status codes of responses worth retrying
+ */
+const RETRY_STATUS_CODES = new Set([408, 429, 500, 502, 503, 504]);
+
+/**
+ * Check if a request is conditional on the current version of a record or
+ * repository. Bodies that can’t be read without consuming them (streams)
+ * are assumed to be conditional.
+ * @param {Request|string|URL} input - Request or URL
+ * @param {object} init - Request options
+ * @returns {boolean} Request is conditional
+ */
+const hasSwap = (input, init) => {
+  let { body } = init;
+  if (body === undefined && input instanceof Request) {
+    return input.body !== null;
+  }
+
+  if (ArrayBuffer.isView(body)) {
+    body = new TextDecoder().decode(body);
+  }
+
+  if (typeof body !== "string") {
+    return body !== undefined && body !== null;
+  }
+
+  try {
+    const { swapRecord, swapCommit } = JSON.parse(body);
+    return Boolean(swapRecord || swapCommit);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Check if a request can be repeated if it fails without a response.
+ * Rate-limited requests are never processed, so can always be retried.
+ * Conditional writes (with `swapRecord` or `swapCommit`) aren’t repeated,
+ * as a retry after a lost response would fail even though the write was
+ * made.
+ * @param {Request|string|URL} input - Request or URL
+ * @param {object} [init] - Request options
+ * @returns {boolean} Request is idempotent
+ */
+export const isIdempotent = (input, init = {}) => {
+  const method = (init.method || input.method || "GET").toUpperCase();
+  if (method === "GET" || method === "HEAD") {
+    return true;
+  }
+
+  const { pathname } = new URL(input.url || input, "http://localhost");
+  const nsid = pathname.match(/^\/xrpc\/([^/]+)$/)?.[1];
+  if (SWAP_PROCEDURES.has(nsid) && hasSwap(input, init)) {
+    return false;
+  }
+
+  return IDEMPOTENT_PROCEDURES.has(nsid);
+};
+
+/**
+ * Get time to wait before retrying, as requested by server
+ * @param {Headers} headers - Response headers
+ * @returns {number|undefined} Delay (milliseconds)
+ */
+export const getRetryAfter = (headers) => {
+  const retryAfter = headers.get("retry-after");
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds)
+      ? Date.parse(retryAfter) - Date.now()
+      : seconds * 1000;
+
+    if (!Number.isNaN(delay)) {
+      return Math.max(delay, 0);
+    }
+  }
+
+  // Seconds since epoch when rate limit window resets
+  const reset = Number(headers.get("ratelimit-reset"));
+  if (reset) {
+    return Math.max(reset * 1000 - Date.now(), 0);
+  }
+};
+
+/**
+ * Get jittered exponential backoff delay
+ * @param {number} attempt - Number of attempts made so far
+ * @param {object} options - Retry options
+ * @param {number} options.baseDelay - Delay before first retry (milliseconds)
+ * @param {number} options.maxDelay - Longest delay (milliseconds)
+ * @returns {number} Delay (milliseconds)
+ */
+export const getBackoff = (attempt, { baseDelay, maxDelay }) => {
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + (Math.random() * ceiling) / 2);
+};
+
+/**
+ * Wrap fetch function to retry transient failures.
+ * Retries rate-limited requests after the time given by the server, and
+ * other failures (server errors, network resets) of idempotent requests with
+ * jittered exponential backoff. Gives up if the server asks to wait longer
+ * than `maxDelay`, returning the last response (or throwing the last error).
+ * @param {Function} fetchHandler - Fetch function
+ * @param {object} [options] - Retry options
+ * @param {number} [options.maxRetries] - Maximum number of retries
+ * @param {number} [options.baseDelay] - Delay before first retry (milliseconds)
+ * @param {number} [options.maxDelay] - Longest delay (milliseconds)
+ * @param {boolean} [options.idempotent] - Treat all requests as idempotent
+ * @returns {Function} Fetch function
+ */
+export const withRetry = (fetchHandler, options = {}) => {
+  const { maxRetries, baseDelay, maxDelay } = { ...RETRY_DEFAULTS, ...options };
+
+  return async (input, init) => {
+    const idempotent = options.idempotent || isIdempotent(input, init);
+
+    for (let attempt = 1; ; attempt++) {
+      const retriesLeft = attempt <= maxRetries;
+      let delay;
+
+      try {
+        // Requests with bodies can only be sent once
+        const request = input instanceof Request ? input.clone() : input;
+        const response = await fetchHandler(request, init);
+
+        if (
+          !retriesLeft ||
+          !RETRY_STATUS_CODES.has(response.status) ||
+          (!idempotent && response.status !== 429)
+        ) {
+          return response;
+        }
+
+        delay =
+          getRetryAfter(response.headers) ??
+          getBackoff(attempt, { baseDelay, maxDelay });
+        if (delay > maxDelay) {
+          return response;
+        }
+
+        await response.body?.cancel();
+      } catch (error) {
+        if (!retriesLeft || !idempotent || error.name === "AbortError") {
+          throw error;
+        }
+
+        delay = getBackoff(attempt, { baseDelay, maxDelay });
+      }
+
+      console.warn(
+        `[Bluesky] Request failed, retrying in ${Math.ceil(delay / 1000)}s (${attempt}/${maxRetries})`,
+      );
+      await setTimeout(delay);
+    }
+  };
+};
+
+/**
+ * Get HTTP status code for an error from an AT Protocol or fetch request
+ * @param {Error} error - Error
+ * @returns {number|undefined} HTTP status code
+ */
+export const getErrorStatus = (error) => {
+  if (error.statusCode) {
+    return error.statusCode;
+  }
+
+  // XRPC errors use `status`, which is below 100 if there was no response
+  if (error.status >= 400 && error.status < 600) {
+    return error.status;
+  }
+
+  // No response from server
+  if (error.status !== undefined || error.message === "fetch failed") {
+    return 502;
+  }
+
+  if (error.cause) {
+    return getErrorStatus(error.cause);
+  }
+};
@@ -0,0 +1,205 @@
+import { Buffer } from "node:buffer";
+import { AtpAgent } from "@atproto/api";
+
+import { withRetry } from "./retry.js";
+
+/**
+ * Refresh access tokens this many seconds before they expire
+ */
+const EXPIRY_MARGIN = 60;
+
+/**
+ * Sessions shared between syndicator instances and syndication calls
+ * @type {Map<string, Session>}
+ */
+const sessions = new Map();
+
+/**
+ * Get expiry time of a JSON Web Token
+ * @param {string} jwt - JSON Web Token
+ * @returns {number|undefined} Expiry time (seconds since epoch)
+ */
+export const getJwtExpiry = (jwt) => {
+  try {
+    const payload = jwt.split(".")[1];
+    return JSON.parse(Buffer.from(payload, "base64url").toString()).exp;
+  } catch {
+    return;
+  }
+};
+
+/**
+ * Authenticated AT Protocol session.
+ * Logs in once, then reuses (and refreshes) the same tokens for all requests.
+ */
+export class Session {
+  #agent;
+  #pending;
+
+  /**
+   * @param {object} options - Session options
+   * @param {string} options.identifier - User identifier
+   * @param {string} options.password - Password
+   * @param {string} options.serviceUrl - Service URL
+   * @param {Function} [options.getCollection] - Get database collection to persist session in
+   * @param {object} [options.retry] - Retry options
+   */
+  constructor(options) {
+    this.identifier = options.identifier;
+    this.password = options.password;
+    this.serviceUrl = options.serviceUrl;
+    this.getCollection = options.getCollection;
+    this.retry = options.retry;
+    this.data = undefined;
+  }
+
+  get #id() {
+    return `${this.serviceUrl}|${this.identifier}`;
+  }
+
+  /**
+   * Get authenticated AT Protocol agent
+   * @returns {Promise<AtpAgent>} AT Protocol agent
+   */
+  async getAgent() {
+    if (!this.#pending) {
+      this.#pending = this.#getAgent().finally(() => {
+        this.#pending = undefined;
+      });
+    }
+
+    return this.#pending;
+  }
+
+  /**
+   * Get existing agent, refreshing its tokens if needed, or create a new one
+   * @access private
+   * @returns {Promise<AtpAgent>} AT Protocol agent
+   */
+  async #getAgent() {
+    const agent = this.#agent;
+
+    if (agent?.hasSession) {
+      const expiry = getJwtExpiry(agent.session.accessJwt);
+      const now = Date.now() / 1000;
+      if (!expiry || expiry - EXPIRY_MARGIN > now) {
+        return agent;
+      }
+
+      try {
+        await agent.sessionManager.refreshSession();
+      } catch (error) {
+        console.warn(`[Bluesky] Failed to refresh session: ${error.message}`);
+      }
+
+      if (agent.hasSession) {
+        return agent;
+      }
+    }
+
+    this.#agent = await this.#createAgent();
+    return this.#agent;
+  }
+
+  /**
+   * Create agent, resuming a stored session if one exists
+   * @access private
+   * @returns {Promise<AtpAgent>} AT Protocol agent
+   */
+  async #createAgent() {
+    const { identifier, password, serviceUrl } = this;
+    const agent = new AtpAgent({
+      service: serviceUrl,
+      fetch: withRetry(globalThis.fetch, this.retry),
+      persistSession: (event, data) => this.#persist(event, data),
+    });
+
+    const stored = this.data || (await this.#load());
+    if (stored) {
+      try {
+        // Refreshes the session if the access token has expired
+        await agent.resumeSession(stored);
+        if (agent.hasSession) {
+          return agent;
+        }
+      } catch (error) {
+        console.warn(`[Bluesky] Failed to resume session: ${error.message}`);
+      }
+    }
+
+    await agent.login({ identifier, password });
+    return agent;
+  }
+
+  /**
+   * Load stored session data from database
+   * @access private
+   * @returns {Promise<object|undefined>} Session data
+   */
+  async #load() {
+    const collection = this.getCollection?.();
+    if (!collection) {
+      return;
+    }
+
+    try {
+      const stored = await collection.findOne({ _id: this.#id });
+      return stored?.session;
+    } catch (error) {
+      console.warn(`[Bluesky] Failed to load session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store or clear session data when it changes
+   * @access private
+   * @param {string} event - Session event
+   * @param {object} [data] - Session data
+   */
+  async #persist(event, data) {
+    const collection = this.getCollection?.();
+
+    try {
+      if (data && (event === "create" || event === "update")) {
+        this.data = data;
+        await collection?.updateOne(
+          { _id: this.#id },
+          { $set: { session: data, updated: new Date().toISOString() } },
+          { upsert: true },
+        );
+      } else if (event === "expired" || event === "create-failed") {
+        this.data = undefined;
+        await collection?.deleteOne({ _id: this.#id });
+      }
+    } catch (error) {
+      console.warn(`[Bluesky] Failed to store session: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Get shared session for an account, creating it if needed
+ * @param {object} options - Session options
+ * @param {string} options.identifier - User identifier
+ * @param {string} options.password - Password
+ * @param {string} options.serviceUrl - Service URL
+ * @param {Function} [options.getCollection] - Get database collection to persist session in
+ * @param {object} [options.retry] - Retry options
+ * @returns {Session} Session
+ */
+export const getSession = (options) => {
+  const id = `${options.serviceUrl}|${options.identifier}`;
+  let session = sessions.get(id);
+
+  // Start afresh if the password has changed
+  if (!session || session.password !== options.password) {
+    session = new Session(options);
+    sessions.set(id, session);
+  }
+
+  if (options.getCollection) {
+    session.getCollection = options.getCollection;
+  }
+
+  return session;
+};
@@ -0,0 +1,231 @@
+import { htmlToPlainText } from "./html.js";
+import {
+  MAX_BYTES,
+  byteLength,
+  fitsLimit,
+  graphemeLength,
+  truncateText,
+} from "./length.js";
+
+/**
+ * Post types that can have a text template
+ */
+export const TEMPLATE_POST_TYPES = [
+  "note",
+  "article",
+  "photo",
+  "reply",
+  "like",
+  "repost",
+  "quote",
+  "bookmark",
+];
+
+/**
+ * Placeholders that are shortened, in the order they are shortened in,
+ * if text doesn’t fit. Other placeholders are always kept whole.
+ */
+const TRUNCATABLE_PLACEHOLDERS = ["content", "summary", "targetTitle", "name"];
+
+const PLACEHOLDER_REGEX = /{(\w+)}/g;
+
+/**
+ * Get type of regular post (not a like, repost or bookmark)
+ * @param {object} properties - JF2 properties
+ * @returns {string} Post type (`reply`, `photo`, `article` or `note`)
+ */
+export function getPostType(properties) {
+  if (properties["in-reply-to"]) {
+    return "reply";
+  }
+
+  if (properties.photo || properties.video) {
+    return "photo";
+  }
+
+  if (properties.name) {
+    return "article";
+  }
+
+  return "note";
+}
+
+/**
+ * Get plain text of post content (without name)
+ * @param {object} properties - JF2 properties
+ * @returns {string} Plain text content
+ */
+function getContent(properties) {
+  if (properties.content?.html) {
+    return htmlToPlainText(properties.content.html, {
+      baseUrl: properties.url,
+    }).text;
+  }
+
+  return properties.content?.text || "";
+}
+
+/**
+ * Get summary of an article: its `summary`, or else the first paragraph of
+ * its content (skipping a heading repeating its title)
+ * @param {object} properties - JF2 properties
+ * @returns {string} Summary
+ */
+export function getArticleSummary(properties) {
+  if (properties.summary) {
+    return properties.summary;
+  }
+
+  const paragraphs = getContent(properties)
+    .split(/\n{2,}/)
+    .map((paragraph) => paragraph.trim())
+    .filter((paragraph) => paragraph && paragraph !== properties.name);
+
+  return paragraphs[0] || "";
+}
+
+/**
+ * Get built-in template for text of an article: none (link card only),
+ * title and summary, or title and whole content (posted as a thread)
+ * @param {string} mode - Article mode (`card`, `excerpt` or `thread`)
+ * @param {string} [summary] - Summary of article
+ * @returns {string} Template
+ */
+export function getArticleTemplate(mode, summary) {
+  switch (mode) {
+    case "card": {
+      return "";
+    }
+
+    case "excerpt": {
+      return summary ? "{name} — {summary}" : "{name}";
+    }
+
+    case "thread": {
+      return "{name}\n\n{content}";
+    }
+
+    default: {
+      throw new Error(`Unknown article mode ${mode}`);
+    }
+  }
+}
+
+/**
+ * Check if a template uses a placeholder
+ * @param {string} template - Template
+ * @param {string} name - Placeholder name
+ * @returns {boolean} Template uses placeholder
+ */
+export const templateUses = (template, name) =>
+  template.includes(`{${name}}`);
+
+/**
+ * Get values of template placeholders for a post
+ * @param {object} properties - JF2 properties
+ * @param {object} [options] - Options
+ * @param {string} [options.target] - URL the post is about (liked, reposted, bookmarked or replied to)
+ * @param {string} [options.targetTitle] - Title of page at target URL
+ * @param {string} [options.removeUrl] - URL to remove from content (shown as link card)
+ * @param {string} [options.summary] - Summary (if not the post’s `summary`)
+ * @param {Array<string>} [options.hashtags] - Hashtag names (without #)
+ * @returns {object} Placeholder values
+ */
+export function getTemplateValues(properties, options = {}) {
+  const { target, targetTitle, removeUrl, hashtags = [] } = options;
+
+  let content = getContent(properties).trim();
+  if (removeUrl) {
+    content = content.replace(removeUrl, "").trim();
+  }
+
+  // Content can start with a heading repeating the title
+  if (properties.name && content.startsWith(`${properties.name}\n`)) {
+    content = content.slice(properties.name.length).trim();
+  }
+
+  return {
+    name: properties.name || "",
+    content,
+    summary: options.summary || properties.summary || "",
+    permalink: properties.url || "",
+    target: target || "",
+    targetTitle: targetTitle || "",
+    tags: hashtags.map((hashtag) => `#${hashtag}`),
+  };
+}
+
+/**
+ * Fill in template placeholders, tidying up whitespace left by empty ones
+ * @param {string} template - Template
+ * @param {object} values - Placeholder values
+ * @returns {string} Text
+ */
+function fillTemplate(template, values) {
+  return template
+    .replace(PLACEHOLDER_REGEX, (match, name) => {
+      const value = values[name];
+      return Array.isArray(value) ? value.join(" ") : (value ?? match);
+    })
+    .replace(/[ \t]+$/gm, "")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Render post text from a template (like `{content}\n\n{permalink}`).
+ * If the text doesn’t fit within the limit, hashtags in `{tags}` are
+ * dropped, then `{content}`, `{summary}`, `{targetTitle}` and `{name}` are
+ * shortened in turn. `{permalink}`, `{target}` and the template’s own text
+ * are never shortened.
+ * @param {string} template - Template
+ * @param {object} values - Placeholder values (from `getTemplateValues`)
+ * @param {object} [options] - Options
+ * @param {number} [options.limit] - Character limit (`Infinity` disables truncation)
+ * @returns {string} Post text
+ */
+export function renderTemplate(template, values, options = {}) {
+  const { limit = 300 } = options;
+  values = { ...values };
+
+  let text = fillTemplate(template, values);
+
+  // Drop hashtags from the end
+  while (!fitsLimit(text, { limit }) && values.tags?.length > 0) {
+    values.tags = values.tags.slice(0, -1);
+    text = fillTemplate(template, values);
+  }
+
+  for (const name of TRUNCATABLE_PLACEHOLDERS) {
+    if (fitsLimit(text, { limit })) {
+      break;
+    }
+
+    if (!values[name] || !templateUses(template, name)) {
+      continue;
+    }
+
+    // Space left for this placeholder once everything else is in place
+    // (filled with a single character, so surrounding whitespace is kept)
+    const rest = fillTemplate(template, { ...values, [name]: "x" });
+    const count = template.match(new RegExp(`{${name}}`, "g")).length;
+    const graphemesLeft = Math.floor(
+      (limit - graphemeLength(rest) + count) / count,
+    );
+    const bytesLeft = Math.floor(
+      (MAX_BYTES - byteLength(rest) + count) / count,
+    );
+
+    values[name] =
+      graphemesLeft > 1 && bytesLeft > 3
+        ? truncateText(values[name], {
+            limit: graphemesLeft,
+            maxBytes: bytesLeft,
+          })
+        : "";
+    text = fillTemplate(template, values);
+  }
+
+  // Template text and kept placeholders alone are too long
+  return truncateText(text, { limit });
+}
@@ -0,0 +1,198 @@
+import { MemoryCache } from "./cache.js";
+import { getErrorStatus } from "./retry.js";
+
+/**
+ * Hosts of Bluesky web apps (AppViews) whose URLs can be parsed
+ */
+export const DEFAULT_APPVIEW_HOSTS = ["bsky.app", "main.bsky.dev", "deer.social"];
+
+/**
+ * Record collections, keyed by the type used in web app URLs
+ */
+const PATH_COLLECTIONS = {
+  post: "app.bsky.feed.post",
+  like: "app.bsky.feed.like",
+  repost: "app.bsky.feed.repost",
+  feed: "app.bsky.feed.generator",
+  lists: "app.bsky.graph.list",
+  "starter-pack": "app.bsky.graph.starterpack",
+};
+
+const NSID = /^[a-z][a-z\d-]*(\.[a-z][a-z\d-]*)+\.[a-z][a-z\d]*$/i;
+
+/**
+ * Handle to DID resolutions (least recently used are removed when full)
+ */
+const resolvedHandles = new MemoryCache({ maxEntries: 1000 });
+
+/**
+ * Time to keep handle resolutions for (handles can move to another DID),
+ * in milliseconds
+ */
+const HANDLE_TTL = 60 * 60 * 1000;
+
+/**
+ * Error thrown for URLs that do not identify a supported Bluesky record
+ */
+export class UnsupportedUrlError extends Error {
+  /**
+   * @param {string} url - URL
+   * @param {string} reason - Why URL is not supported
+   */
+  constructor(url, reason) {
+    super(`Unsupported Bluesky URL ${url}: ${reason}`);
+    this.name = "UnsupportedUrlError";
+    this.statusCode = 400;
+    this.url = url;
+  }
+}
+
+/**
+ * Check if URL is a Bluesky web app URL or AT URI
+ * @param {string} url - URL
+ * @param {Array<string>} [hosts] - Bluesky web app hosts
+ * @returns {boolean} URL is a Bluesky URL
+ */
+export const isBlueskyUrl = (url, hosts = DEFAULT_APPVIEW_HOSTS) => {
+  if (typeof url !== "string") {
+    return false;
+  }
+
+  if (url.startsWith("at://")) {
+    return true;
+  }
+
+  try {
+    const { hostname } = new URL(url);
+    return hosts.includes(hostname.replace(/^www\./, ""));
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Parse Bluesky web app URL or AT URI
+ * @param {string} url - Web app URL (`https://bsky.app/profile/…/post/…`) or AT URI
+ * @param {Array<string>} [hosts] - Bluesky web app hosts
+ * @returns {{actor: string, collection: string, rkey: string}} Actor (handle or DID), collection and record key
+ */
+export function parseBlueskyUrl(url, hosts = DEFAULT_APPVIEW_HOSTS) {
+  if (typeof url !== "string") {
+    throw new UnsupportedUrlError(url, "not a string");
+  }
+
+  if (url.startsWith("at://")) {
+    const path = url.slice("at://".length).split(/[?#]/)[0];
+    const [actor, collection, rkey] = path.split("/");
+
+    if (!actor || !NSID.test(collection || "") || !rkey) {
+      throw new UnsupportedUrlError(
+        url,
+        "AT URI must include a collection and record key",
+      );
+    }
+
+    return { actor, collection, rkey };
+  }
+
+  if (!isBlueskyUrl(url, hosts)) {
+    throw new UnsupportedUrlError(url, "not a Bluesky app URL");
+  }
+
+  const [profile, actor, type, rkey] = new URL(url).pathname
+    .split("/")
+    .filter(Boolean);
+  const collection = PATH_COLLECTIONS[type];
+
+  if (profile !== "profile" || !actor || !collection || !rkey) {
+    throw new UnsupportedUrlError(
+      url,
+      "not a post, like, repost, feed or list URL",
+    );
+  }
+
+  return { actor: decodeURIComponent(actor), collection, rkey };
+}
+
+/**
+ * Get actor from Bluesky web app profile URL
+ * @param {string} url - Profile URL (`https://bsky.app/profile/…`)
+ * @param {Array<string>} [hosts] - Bluesky web app hosts
+ * @returns {string|undefined} Handle or DID
+ */
+export function parseProfileUrl(url, hosts = DEFAULT_APPVIEW_HOSTS) {
+  if (!isBlueskyUrl(url, hosts) || url.startsWith("at://")) {
+    return;
+  }
+
+  const [profile, actor, ...rest] = new URL(url).pathname
+    .split("/")
+    .filter(Boolean);
+
+  if (profile === "profile" && actor && rest.length === 0) {
+    return decodeURIComponent(actor);
+  }
+}
+
+/**
+ * Resolve actor (handle or DID) to a DID
+ * @param {import("@atproto/api").Agent} client - AT Protocol agent
+ * @param {string} actor - Handle or DID
+ * @returns {Promise<string>} DID
+ */
+export async function resolveActor(client, actor) {
+  if (actor.startsWith("did:")) {
+    return actor;
+  }
+
+  const handle = actor.replace(/^@/, "").toLowerCase();
+  const resolved = await resolvedHandles.get(handle);
+  if (resolved) {
+    return resolved;
+  }
+
+  const { data } = await client.com.atproto.identity.resolveHandle({
+    handle,
+  });
+  await resolvedHandles.set(handle, data.did, HANDLE_TTL);
+
+  return data.did;
+}
+
+/**
+ * Resolve Bluesky web app URL or AT URI to a record
+ * @param {import("@atproto/api").Agent} client - AT Protocol agent
+ * @param {string} url - Web app URL or AT URI
+ * @param {object} [options] - Options
+ * @param {Array<string>} [options.hosts] - Bluesky web app hosts
+ * @param {string|Array<string>} [options.collection] - Expected collection(s)
+ * @returns {Promise<{did: string, collection: string, rkey: string, uri: string}>} Record DID, collection, key and AT URI
+ */
+export async function resolveRecordUrl(client, url, options = {}) {
+  const { actor, collection, rkey } = parseBlueskyUrl(url, options.hosts);
+
+  const collections = [options.collection || []].flat();
+  if (collections.length > 0 && !collections.includes(collection)) {
+    throw new UnsupportedUrlError(
+      url,
+      `expected ${collections.join(" or ")} record, not ${collection}`,
+    );
+  }
+
+  let did;
+  try {
+    did = await resolveActor(client, actor);
+  } catch (error) {
+    // Other failures (like network errors) may not last, so can be retried
+    if (getErrorStatus(error) !== 400) {
+      throw error;
+    }
+
+    throw new UnsupportedUrlError(
+      url,
+      `could not resolve handle ${actor} (${error.message})`,
+    );
+  }
+
+  return { did, collection, rkey, uri: `at://${did}/${collection}/${rkey}` };
+}
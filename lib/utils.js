@@ -1,29 +1,25 @@
 import { RichText } from "@atproto/api";
-import { htmlToText } from "html-to-text";
-import sharp from "sharp";
 import { JSDOM } from "jsdom";
 
-/**
- * Default OG image configuration
- */
-const DEFAULT_OG_CONFIG = {
-  width: 1200,
-  height: 630,
-  backgroundColor: "#1a1a2e", // Dark blue-purple
-  textColor: "#ffffff",
-  accentColor: "#e94560", // Coral/red accent
-  fontFamily: "sans-serif",
-  siteName: "rmendes.net",
-};
+import { extractHtmlImages, htmlToPlainText } from "./html.js";
+import {
+  MAX_BYTES,
+  MAX_GRAPHEMES,
+  URL_REGEX,
+  fitsLimit,
+  graphemeLength,
+  splitGraphemes,
+  truncateText,
+} from "./length.js";
 
 const AT_URI = /at:\/\/(?<did>did:[^/]+)\/(?<type>[^/]+)\/(?<rkey>[^/]+)/;
 
 /**
- * Escape XML special characters for SVG
+ * Escape XML special characters for SVG and HTML
  * @param {string} text - Text to escape
  * @returns {string} Escaped text
  */
-function escapeXml(text) {
+export function escapeXml(text) {
   return text
     .replace(/&/g, "&amp;")
     .replace(/</g, "&lt;")
@@ -33,175 +29,188 @@ function escapeXml(text) {
 }
 
 /**
- * Wrap text into lines that fit within a width
- * @param {string} text - Text to wrap
- * @param {number} maxCharsPerLine - Maximum characters per line
- * @param {number} maxLines - Maximum number of lines
- * @returns {string[]} Array of lines
+ * Extract links from HTML content with display text and URL.
+ * Each link has the range of its text in the content converted to plain
+ * text, and the text between it and the link before it (used to find the
+ * link again in post text, even if a word is repeated).
+ * @param {string} html - HTML content
+ * @param {object} [options] - Options
+ * @param {string} [options.baseUrl] - URL to resolve relative links against
+ * @returns {Array<{text: string, url: string, hCard: boolean, rel: Array<string>, start: number, end: number, before: string}>} Array of link objects
  */
-function wrapText(text, maxCharsPerLine = 35, maxLines = 4) {
-  const words = text.split(/\s+/);
-  const lines = [];
-  let currentLine = "";
+export function extractHtmlLinks(html, options = {}) {
+  if (!html) return [];
 
-  for (const word of words) {
-    if (lines.length >= maxLines) break;
+  const { text, links } = htmlToPlainText(html, options);
+  return links.map((link, index) => ({
+    ...link,
+    before: text.slice(links[index - 1]?.end || 0, link.start),
+  }));
+}
 
-    const testLine = currentLine ? `${currentLine} ${word}` : word;
+/**
+ * Count code units two strings start with in common,
+ * without ending inside a surrogate pair
+ * @param {string} a - String
+ * @param {string} b - String
+ * @returns {number} Length of common prefix
+ */
+function commonPrefixLength(a, b) {
+  let length = 0;
+  while (length < a.length && a[length] === b[length]) length++;
+  if (length < b.length && /[\uD800-\uDBFF]/.test(a[length - 1] || "")) {
+    length--;
+  }
+  return length;
+}
 
-    if (testLine.length <= maxCharsPerLine) {
-      currentLine = testLine;
-    } else {
-      if (currentLine) {
-        lines.push(currentLine);
-        currentLine = word;
-      } else {
-        // Word is longer than max, truncate it
-        lines.push(word.slice(0, maxCharsPerLine - 3) + "...");
-        currentLine = "";
+/**
+ * Find range of linked text in post text.
+ * Looks for the link text after the text that came before it in the
+ * content, then after less of that text, then anywhere after `from`.
+ * Link text cut off by truncation (followed by an ellipsis or the end of
+ * the text) is clipped to the part that’s left.
+ * @param {string} text - Post text
+ * @param {string} linkText - Link text
+ * @param {string} before - Text before link in content
+ * @param {number} from - Index to search from
+ * @returns {{start: number, end: number}|undefined} Range of link in text
+ */
+function findLinkRange(text, linkText, before, from) {
+  const lastLine = before.slice(before.lastIndexOf("\n") + 1);
+  const contexts = new Set([
+    before.slice(-100),
+    lastLine.slice(-100),
+    lastLine.slice(-20),
+  ]);
+
+  for (const context of contexts) {
+    if (!context) continue;
+
+    // Only trust a clipped link if enough text before it matched
+    const canClip = context === before || context.length >= 10;
+
+    let index = text.indexOf(context, from);
+    while (index !== -1) {
+      const start = index + context.length;
+      const length = commonPrefixLength(text.slice(start), linkText);
+      if (length === linkText.length) {
+        return { start, end: start + length };
       }
-    }
-  }
 
-  if (currentLine && lines.length < maxLines) {
-    lines.push(currentLine);
-  }
+      const rest = text.slice(start + length);
+      const end = start + text.slice(start, start + length).trimEnd().length;
+      if (canClip && end > start && (!rest || rest.startsWith("…"))) {
+        return { start, end };
+      }
 
-  // Add ellipsis to last line if we truncated
-  if (lines.length === maxLines && words.length > lines.join(" ").split(/\s+/).length) {
-    const lastLine = lines[maxLines - 1];
-    if (lastLine.length > maxCharsPerLine - 3) {
-      lines[maxLines - 1] = lastLine.slice(0, maxCharsPerLine - 3) + "...";
-    } else if (!lastLine.endsWith("...")) {
-      lines[maxLines - 1] = lastLine + "...";
+      index = text.indexOf(context, index + 1);
     }
   }
 
-  return lines;
+  const start = text.indexOf(linkText, from);
+  if (start !== -1) {
+    return { start, end: start + linkText.length };
+  }
 }
 
 /**
- * Generate a default OG image with title text
- * @param {string} title - Title text to display
- * @param {object} [options] - Configuration options
- * @param {string} [options.siteName] - Site name to display
- * @param {string} [options.backgroundColor] - Background color
- * @param {string} [options.textColor] - Text color
- * @param {string} [options.accentColor] - Accent color for decorations
- * @returns {Promise<Buffer>} PNG image buffer
- */
-export async function generateDefaultOgImage(title, options = {}) {
-  const config = { ...DEFAULT_OG_CONFIG, ...options };
-  const { width, height, backgroundColor, textColor, accentColor, siteName } = config;
-
-  // Wrap title into multiple lines
-  const titleLines = wrapText(title, 35, 4);
-  const fontSize = titleLines.length > 2 ? 48 : 56;
-  const lineHeight = fontSize * 1.3;
-
-  // Calculate vertical position to center the text block
-  const textBlockHeight = titleLines.length * lineHeight;
-  const startY = (height - textBlockHeight) / 2 + fontSize * 0.8;
-
-  // Generate title text elements
-  const titleElements = titleLines
-    .map((line, i) => {
-      const y = startY + i * lineHeight;
-      return `<text x="${width / 2}" y="${y}" text-anchor="middle" font-size="${fontSize}" font-weight="bold" fill="${textColor}" font-family="${config.fontFamily}">${escapeXml(line)}</text>`;
-    })
-    .join("\n    ");
-
-  // Create SVG
-  const svg = `<?xml version="1.0" encoding="UTF-8"?>
-<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
-  <!-- Background -->
-  <rect width="${width}" height="${height}" fill="${backgroundColor}"/>
-
-  <!-- Decorative elements -->
-  <rect x="0" y="0" width="${width}" height="8" fill="${accentColor}"/>
-  <rect x="0" y="${height - 80}" width="${width}" height="80" fill="${accentColor}" opacity="0.1"/>
-
-  <!-- Decorative circles -->
-  <circle cx="100" cy="100" r="200" fill="${accentColor}" opacity="0.05"/>
-  <circle cx="${width - 100}" cy="${height - 100}" r="150" fill="${accentColor}" opacity="0.05"/>
-
-  <!-- Title -->
-  ${titleElements}
-
-  <!-- Site name -->
-  <text x="${width / 2}" y="${height - 30}" text-anchor="middle" font-size="24" fill="${textColor}" opacity="0.7" font-family="${config.fontFamily}">${escapeXml(siteName)}</text>
-</svg>`;
-
-  // Convert SVG to PNG using sharp
-  const pngBuffer = await sharp(Buffer.from(svg))
-    .png({ quality: 90 })
-    .toBuffer();
-
-  return pngBuffer;
+ * Find ranges of links from HTML content in post text.
+ * Links whose text was removed from the post are dropped, and links cut
+ * off by truncation are clipped.
+ * @param {string} text - Post text
+ * @param {Array<{text: string, url: string, before?: string}>} links - Link objects from HTML
+ * @returns {Array<{start: number, end: number, link: object}>} Ranges (indexes in text) of links
+ */
+export function getLinkRanges(text, links) {
+  const ranges = [];
+  if (!links || !text) return ranges;
+
+  let from = 0;
+  let before = "";
+  for (const link of links) {
+    before += link.before ?? "";
+
+    const range = findLinkRange(text, link.text, before, from);
+    if (range) {
+      ranges.push({ ...range, link });
+      from = range.end;
+      before = "";
+    } else {
+      before += link.text;
+    }
+  }
+
+  return ranges;
 }
 
 /**
- * Extract links from HTML content with display text and URL
- * @param {string} html - HTML content
- * @returns {Array<{text: string, url: string}>} Array of link objects
+ * Get ranges of links in part of post text (such as one post in a thread)
+ * @param {Array<{start: number, end: number, link: object}>} ranges - Ranges of links in text
+ * @param {number} offset - Index of start of part in text
+ * @param {number} length - Length of part
+ * @returns {Array<{start: number, end: number, link: object}>} Ranges of links in part, clipped to it
  */
-export function extractHtmlLinks(html) {
-  if (!html) return [];
-  const linkRegex = /<a\s+[^>]*href=["'](https?:\/\/[^"']+)["'][^>]*>(.*?)<\/a>/gi;
-  const links = [];
-  let match;
-  while ((match = linkRegex.exec(html)) !== null) {
-    const url = match[1];
-    const text = match[2].replace(/<[^>]+>/g, "").trim();
-    if (text && url) {
-      links.push({ text, url });
-    }
-  }
-  return links;
+export function sliceLinkRanges(ranges, offset, length) {
+  return ranges
+    .map(({ start, end, link }) => ({
+      start: Math.max(start - offset, 0),
+      end: Math.min(end - offset, length),
+      link,
+    }))
+    .filter(({ start, end }) => end > start);
 }
 
 /**
  * Build Bluesky link facets mapping display text to URLs.
  * Only creates facets where the display text differs from the URL
- * (plain URLs are auto-detected by RichText.detectFacets).
+ * (plain URLs and hashtags are detected by `RichText.detectFacets`).
+ * Links to people resolved to a DID become mention facets.
  * @param {string} text - Final post text
- * @param {Array<{text: string, url: string}>} links - Link objects from HTML
+ * @param {Array<{start: number, end: number, link: object}>} ranges - Ranges of links in text (from `getLinkRanges`)
  * @returns {Array<object>} Bluesky facet objects
  */
-export function buildLinkFacets(text, links) {
-  if (!links || links.length === 0 || !text) return [];
-
+export function linkRangesToFacets(text, ranges) {
   const encoder = new TextEncoder();
   const facets = [];
-  let searchFrom = 0;
 
-  for (const link of links) {
-    if (link.text === link.url) continue;
-
-    const idx = text.indexOf(link.text, searchFrom);
-    if (idx === -1) continue;
+  for (const { start, end, link } of ranges) {
+    const linkText = text.slice(start, end);
+    if (!link.did && (linkText === link.url || /^#[^\s#]+$/.test(linkText))) {
+      continue;
+    }
 
-    const byteStart = encoder.encode(text.slice(0, idx)).byteLength;
-    const byteEnd = byteStart + encoder.encode(link.text).byteLength;
+    const byteStart = encoder.encode(text.slice(0, start)).byteLength;
+    const byteEnd = byteStart + encoder.encode(linkText).byteLength;
 
     facets.push({
       index: { byteStart, byteEnd },
       features: [
-        {
-          $type: "app.bsky.richtext.facet#link",
-          uri: link.url,
-        },
+        link.did
+          ? { $type: "app.bsky.richtext.facet#mention", did: link.did }
+          : { $type: "app.bsky.richtext.facet#link", uri: link.url },
       ],
     });
-
-    searchFrom = idx + link.text.length;
   }
 
   return facets;
 }
 
 /**
- * Convert plain text to rich text, optionally merging manual link facets
+ * Build Bluesky link facets mapping display text to URLs
+ * @param {string} text - Final post text
+ * @param {Array<{text: string, url: string, did?: string}>} links - Link objects from HTML
+ * @returns {Array<object>} Bluesky facet objects
+ */
+export function buildLinkFacets(text, links) {
+  return linkRangesToFacets(text, getLinkRanges(text, links));
+}
+
+/**
+ * Convert plain text to rich text, optionally merging manual link facets.
+ * Link facets never overlap detected facets: manual mention facets replace
+ * detected facets over the same text, and other link facets replace
+ * detected facets they partly overlap.
  * @param {import("@atproto/api").Agent} client - AT Protocol agent
  * @param {string} text - Text to convert
  * @param {Array<object>} [extraFacets] - Additional facets to merge
@@ -212,34 +221,33 @@ export const createRichText = async (client, text, extraFacets = []) => {
   await rt.detectFacets(client);
 
   if (extraFacets.length > 0) {
-    const existingRanges = new Set(
-      (rt.facets || []).map((f) => `${f.index.byteStart}-${f.index.byteEnd}`),
-    );
+    const overlaps = (a, b) =>
+      a.index.byteStart < b.index.byteEnd &&
+      b.index.byteStart < a.index.byteEnd;
+
+    // Detected facets with the same range as a link are kept, unless the
+    // link is a mention. Other detected facets overlapping links are dropped.
+    const facets = rt.facets || [];
+    const added = extraFacets.filter((facet) => {
+      const same = facets.find(
+        (f) =>
+          f.index.byteStart === facet.index.byteStart &&
+          f.index.byteEnd === facet.index.byteEnd,
+      );
+      return (
+        !same || facet.features[0].$type === "app.bsky.richtext.facet#mention"
+      );
+    });
 
-    for (const facet of extraFacets) {
-      const key = `${facet.index.byteStart}-${facet.index.byteEnd}`;
-      if (!existingRanges.has(key)) {
-        if (!rt.facets) rt.facets = [];
-        rt.facets.push(facet);
-      }
-    }
+    rt.facets = [
+      ...facets.filter((f) => !added.some((facet) => overlaps(f, facet))),
+      ...added,
+    ].sort((a, b) => a.index.byteStart - b.index.byteStart);
   }
 
   return rt;
 };
 
-/**
- * Get post parts (UID and CID)
- * @param {string} url - Post URL
- * @returns {object} Parts
- */
-export const getPostParts = (url) => {
-  const pathParts = new URL(url).pathname.split("/");
-  const did = pathParts[2];
-  const rkey = pathParts[4];
-  return { did, rkey };
-};
-
 /**
  * Convert Bluesky URI to post URL
  * @param {string} profileUrl - Profile URL
@@ -272,12 +280,10 @@ export const getPostText = (properties, includePermalink) => {
     text = properties.content.text;
   }
 
-  // Truncate status if longer than 300 characters
+  // Truncate status if longer than 300 graphemes
   // ALWAYS include permalink when truncating so readers can see full post
-  if (text.length > 300) {
-    const suffix = `\n\n${properties.url}`;
-    const maxLen = 300 - suffix.length - 3;
-    text = text.slice(0, maxLen).trim() + "..." + suffix;
+  if (!fitsLimit(text)) {
+    text = truncateText(text, { suffix: `\n\n${properties.url}` });
   } else if (includePermalink && !text.includes(properties.url)) {
     text = `${text}\n\n${properties.url}`;
   }
@@ -295,13 +301,9 @@ export function getContentText(properties) {
     return properties.name;
   }
   if (properties.content?.html) {
-    return htmlToText(properties.content.html, {
-      selectors: [
-        { selector: "a", options: { ignoreHref: true } },
-        { selector: "img", format: "skip" },
-      ],
-      wordwrap: false,
-    });
+    return htmlToPlainText(properties.content.html, {
+      baseUrl: properties.url,
+    }).text;
   }
   if (properties.content?.text) {
     return properties.content.text;
@@ -309,6 +311,25 @@ export function getContentText(properties) {
   return "";
 }
 
+/**
+ * Get images embedded in content that aren’t among the post’s photos
+ * @param {object} properties - JF2 properties
+ * @param {string} me - Publication URL (to resolve relative image URLs against)
+ * @returns {Array<{url: string, alt: string}>} JF2 photo objects
+ */
+export function getContentImages(properties, me) {
+  const photoUrls = new Set(
+    [properties.photo || []].flat().map((photo) => {
+      const url = photo?.url || photo;
+      return typeof url === "string" ? new URL(url, me).href : url;
+    }),
+  );
+
+  return extractHtmlImages(properties.content?.html, { baseUrl: me }).filter(
+    (image) => !photoUrls.has(image.url),
+  );
+}
+
 /**
  * Remove a URL from text, cleaning up surrounding whitespace and prefixes
  * @param {string} text - Text containing the URL
@@ -317,11 +338,20 @@ export function getContentText(properties) {
  */
 export function removeUrlFromText(text, url) {
   if (!text || !url) return text;
-  let result = text.replace(url, "");
-  // Clean up common prefixes left behind when URL was at the end
-  result = result.replace(/\s*(Réf|Ref|ref|via|Via|source|Source|link|Link|→|—)\s*$/im, "");
-  // Clean up excessive whitespace
-  result = result.replace(/\n{3,}/g, "\n\n").replace(/[ \t]{2,}/g, " ").trim();
+  const escapedUrl = url.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  // Remove common prefixes along with URL when it is at the end of a line
+  const prefix = "(?:[ \\t]*(?:Réf|Ref|ref|via|Via|source|Source|link|Link|→|—):?)?";
+  let result = text.replace(
+    new RegExp(`${prefix}[ \\t]*${escapedUrl}(?=[ \\t]*$)`, "m"),
+    "",
+  );
+  result = result.replace(url, "");
+  // Clean up excessive whitespace, keeping indentation at start of lines
+  result = result
+    .replace(/[ \t]+$/gm, "")
+    .replace(/\n{3,}/g, "\n\n")
+    .replace(/(\S)[ \t]{2,}/g, "$1 ")
+    .trim();
   return result;
 }
 
@@ -335,11 +365,11 @@ export function removeUrlFromText(text, url) {
  * @param {object} properties - JF2 properties
  * @param {object} [options] - Options
  * @param {string} [options.externalUrl] - External URL that will be used as OG card
- * @returns {string} Post text fitting within 300 chars
+ * @param {number} [options.limit] - Character limit (`Infinity` disables truncation)
+ * @returns {string} Post text fitting within limit
  */
 export function buildPostText(properties, options = {}) {
-  const { externalUrl } = options;
-  const LIMIT = 300;
+  const { externalUrl, limit = 300 } = options;
 
   let text = getContentText(properties);
 
@@ -351,21 +381,316 @@ export function buildPostText(properties, options = {}) {
     const permalink = properties.url;
     if (permalink) {
       const suffix = `\n\n${permalink}`;
-      const available = LIMIT - suffix.length;
-      if (text.length > available) {
-        text = text.slice(0, available - 1).trim() + "\u2026";
-      }
-      return (text + suffix).trim();
+      return truncateText(text, { limit, suffix }).trim();
     }
   }
 
   // No external URL — permalink will be shown as OG card
   // No need to duplicate it in text
-  if (text.length > LIMIT) {
-    text = text.slice(0, LIMIT - 1).trim() + "\u2026";
+  return truncateText(text, { limit }).trim();
+}
+
+/**
+ * Convert category to hashtag name.
+ * Multiple words are joined in PascalCase (“indie web” becomes “IndieWeb”),
+ * single words keep their case. Apostrophes are left out, and categories
+ * with other punctuation or symbols are skipped, as leaving those out could
+ * change their meaning (“c++” isn’t “c”).
+ * @param {string} category - Category
+ * @returns {string|undefined} Hashtag name (without #)
+ */
+export const categoryToHashtag = (category) => {
+  // Ignore person tags (URLs) and other non-text categories
+  if (typeof category !== "string" || /^https?:\/\//.test(category)) {
+    return;
+  }
+
+  let words = category
+    .replace(/^#/, "")
+    .split(/[\s\-_./]+/)
+    .filter(Boolean);
+
+  if (words.some((word) => /[^\p{L}\p{M}\p{N}'’]/u.test(word))) {
+    return;
+  }
+
+  words = words.map((word) => word.replace(/['’]/g, "")).filter(Boolean);
+
+  const tag =
+    words.length > 1
+      ? words.map((word) => word[0].toUpperCase() + word.slice(1)).join("")
+      : words[0];
+
+  // Bluesky ignores tags without letters (e.g. #2024)
+  if (!tag || !/\p{L}/u.test(tag)) {
+    return;
+  }
+
+  return tag.slice(0, 64);
+};
+
+/**
+ * Get hashtag names from JF2 categories
+ * @param {object} properties - JF2 properties
+ * @param {object} [options] - Options
+ * @param {Array<string>} [options.allow] - Only include these categories
+ * @param {Array<string>} [options.deny] - Never include these categories
+ * @returns {Array<string>} Hashtag names (without #)
+ */
+export function getHashtags(properties, options = {}) {
+  const toKey = (category) => categoryToHashtag(category)?.toLowerCase();
+  const allow = new Set((options.allow || []).map(toKey));
+  const deny = new Set((options.deny || []).map(toKey));
+
+  const hashtags = new Map();
+  for (const category of [properties.category || []].flat()) {
+    const hashtag = categoryToHashtag(category);
+    const key = hashtag?.toLowerCase();
+
+    if (!hashtag || hashtags.has(key) || deny.has(key)) continue;
+    if (allow.size > 0 && !allow.has(key)) continue;
+
+    hashtags.set(key, hashtag);
+  }
+
+  return [...hashtags.values()];
+}
+
+/**
+ * Append a line of prefixed tokens (hashtags or mentions) to post text.
+ * Tokens already in the text are skipped, and tokens that don’t fit
+ * within the limit are dropped.
+ * @param {string} text - Post text
+ * @param {Array<string>} tokens - Tokens (without prefix)
+ * @param {string} prefix - Token prefix
+ * @param {number} limit - Grapheme limit
+ * @returns {string} Post text with tokens
+ */
+function appendTokens(text, tokens, prefix, limit) {
+  const existing = new Set(
+    [...text.matchAll(new RegExp(`${prefix}([^\\s${prefix}]+)`, "g"))].map(
+      (match) => match[1].toLowerCase(),
+    ),
+  );
+
+  let line = "";
+  for (const token of tokens) {
+    if (existing.has(token.toLowerCase())) continue;
+
+    const candidate = line ? `${line} ${prefix}${token}` : `${prefix}${token}`;
+    const candidateText = text ? `${text}\n\n${candidate}` : candidate;
+    if (!fitsLimit(candidateText, { limit })) break;
+
+    line = candidate;
+  }
+
+  if (!line) {
+    return text;
   }
 
-  return text.trim();
+  return text ? `${text}\n\n${line}` : line;
+}
+
+/**
+ * Append hashtags to post text.
+ * Hashtags already in the text are skipped, and hashtags that don’t fit
+ * within the limit are dropped.
+ * @param {string} text - Post text
+ * @param {Array<string>} hashtags - Hashtag names (without #)
+ * @param {object} [options] - Options
+ * @param {number} [options.limit] - Grapheme limit
+ * @returns {string} Post text with hashtags
+ */
+export function appendHashtags(text, hashtags, options = {}) {
+  const { limit = 300 } = options;
+  return appendTokens(text, hashtags, "#", limit);
+}
+
+/**
+ * Append mentions to post text.
+ * Handles already mentioned are skipped, and mentions that don’t fit
+ * within the limit are dropped.
+ * @param {string} text - Post text
+ * @param {Array<string>} handles - Handles (without @)
+ * @param {object} [options] - Options
+ * @param {number} [options.limit] - Grapheme limit
+ * @returns {string} Post text with mentions
+ */
+export function appendMentions(text, handles, options = {}) {
+  const { limit = 300 } = options;
+  return appendTokens(text, handles, "@", limit);
+}
+
+/**
+ * Boundaries to split thread text at, from most to least preferred:
+ * paragraphs, sentences, then words
+ */
+const THREAD_SPLITTERS = [/\n{2,}/, /(?<=[.!?\u2026])\s+/, /\s+/];
+
+/**
+ * Split text into chunks that fit within limits
+ * @param {string} text - Text to split
+ * @param {object} limits - Limits
+ * @param {number} limits.limit - Maximum graphemes per chunk
+ * @param {number} limits.maxBytes - Maximum bytes per chunk
+ * @param {number} [level] - Index of splitter to use
+ * @returns {string[]} Chunks
+ */
+function splitIntoChunks(text, limits, level = 0) {
+  if (fitsLimit(text, limits)) {
+    return [text];
+  }
+
+  const splitter = THREAD_SPLITTERS[level];
+
+  // No boundary left to split at, cut between graphemes. URLs are kept
+  // whole, and URLs longer than a post get a post of their own (they are
+  // shortened when posted, see `shortenLongUrls`).
+  if (!splitter) {
+    const chunks = [""];
+    const tokens = text.split(new RegExp(`(${URL_REGEX.source})`));
+    for (const [index, token] of tokens.entries()) {
+      const isUrl = index % 2 === 1;
+      if (isUrl && fitsLimit(chunks.at(-1) + token, limits)) {
+        chunks[chunks.length - 1] += token;
+      } else if (isUrl) {
+        chunks.push(token);
+        if (!fitsLimit(token, limits)) {
+          chunks.push("");
+        }
+      } else {
+        for (const grapheme of splitGraphemes(token)) {
+          if (!fitsLimit(chunks.at(-1) + grapheme, limits)) {
+            chunks.push("");
+          }
+          chunks[chunks.length - 1] += grapheme;
+        }
+      }
+    }
+    return chunks.filter(Boolean);
+  }
+
+  const chunks = [];
+  let current = "";
+
+  // Keep original separators, so chunks are parts of the text as it was
+  const parts = text.split(new RegExp(`(${splitter.source})`));
+  for (let index = 0; index < parts.length; index += 2) {
+    const piece = parts[index];
+    if (!piece.trim()) continue;
+
+    const separator = parts[index - 1] || " ";
+    const candidate = current ? current + separator + piece : piece;
+    if (fitsLimit(candidate, limits)) {
+      current = candidate;
+      continue;
+    }
+
+    if (current) {
+      chunks.push(current);
+    }
+
+    if (fitsLimit(piece, limits)) {
+      current = piece;
+    } else {
+      const pieceChunks = splitIntoChunks(piece, limits, level + 1);
+      current = pieceChunks.pop();
+      chunks.push(...pieceChunks);
+    }
+  }
+
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks.map((chunk) => chunk.trim());
+}
+
+/**
+ * Shorten URLs that make post text too long, showing the start of each
+ * (without protocol) followed by an ellipsis. Used for URLs longer than a
+ * whole post, which `splitTextIntoThread` puts in a post of their own.
+ * @param {string} text - Post text
+ * @param {object} [options] - Options
+ * @param {number} [options.limit] - Maximum graphemes
+ * @returns {{text: string, ranges: Array<{start: number, end: number, link: {text: string, url: string}}>}} Text and ranges of shortened URLs (for `linkRangesToFacets`)
+ */
+export function shortenLongUrls(text, options = {}) {
+  const { limit = MAX_GRAPHEMES } = options;
+  const ranges = [];
+  if (fitsLimit(text, { limit })) {
+    return { text, ranges };
+  }
+
+  let shortened = "";
+  let index = 0;
+  for (const match of text.matchAll(URL_REGEX)) {
+    const url = match[0];
+    const rest =
+      graphemeLength(shortened + text.slice(index)) - graphemeLength(url);
+    shortened += text.slice(index, match.index);
+    index = match.index + url.length;
+
+    // Only URLs that don’t fit are shortened
+    const space = limit - rest;
+    const display =
+      space > 1 &&
+      graphemeLength(url) > space &&
+      truncateText(url.replace(/^https?:\/\//, ""), { limit: space });
+    if (!display) {
+      shortened += url;
+      continue;
+    }
+
+    ranges.push({
+      start: shortened.length,
+      end: shortened.length + display.length,
+      link: { text: display, url },
+    });
+    shortened += display;
+  }
+
+  return { text: shortened + text.slice(index), ranges };
+}
+
+/**
+ * Split post text into a thread of posts.
+ * Prefers paragraph boundaries, then sentence boundaries, then words.
+ * URLs are never split.
+ * @param {string} text - Post text
+ * @param {object} [options] - Options
+ * @param {number} [options.limit] - Grapheme limit per post
+ * @param {boolean} [options.counters] - Append “1/n” counter to each post
+ * @returns {string[]} Text for each post in thread
+ */
+export function splitTextIntoThread(text, options = {}) {
+  const { limit = 300, counters = false } = options;
+
+  if (fitsLimit(text, { limit })) {
+    return [text];
+  }
+
+  if (!counters) {
+    return splitIntoChunks(text, { limit, maxBytes: MAX_BYTES });
+  }
+
+  // Reserve space for counters, growing the reservation if the number of
+  // posts needs more digits than first assumed
+  let total = 9;
+  let chunks;
+  for (;;) {
+    const reserved = `\n${total}/${total}`.length;
+    chunks = splitIntoChunks(text, {
+      limit: limit - reserved,
+      maxBytes: MAX_BYTES - reserved,
+    });
+    if (String(chunks.length).length <= String(total).length) break;
+    total = 10 ** String(chunks.length).length - 1;
+  }
+
+  return chunks.map(
+    (chunk, index) => `${chunk}\n${index + 1}/${chunks.length}`,
+  );
 }
 
 /**
@@ -374,9 +699,12 @@ export function buildPostText(properties, options = {}) {
  * commentary + blog permalink (for webmentions), not the liked URL.
  * @param {object} properties - JF2 properties
  * @param {string} likedUrl - The URL being liked
+ * @param {object} [options] - Options
+ * @param {number} [options.limit] - Character limit (`Infinity` disables truncation)
  * @returns {string} Post text
  */
-export const getLikePostText = (properties, likedUrl) => {
+export const getLikePostText = (properties, likedUrl, options = {}) => {
+  const { limit = 300 } = options;
   let text = "";
 
   // Get the content/comment
@@ -404,12 +732,10 @@ export const getLikePostText = (properties, likedUrl) => {
     text = `❤️ ${likedUrl}`;
   }
 
-  // Truncate if needed (Bluesky limit is 300 chars)
-  if (text.length > 300) {
+  // Truncate if needed (Bluesky limit is 300 graphemes)
+  if (!fitsLimit(text, { limit })) {
     const suffix = permalink ? `\n\n${permalink}` : `\n\n❤️ ${likedUrl}`;
-    const maxLen = 300 - suffix.length - 3;
-    const contentPart = text.replace(suffix, "").slice(0, maxLen).trim();
-    text = contentPart + "..." + suffix;
+    text = truncateText(text.replace(suffix, "").trim(), { limit, suffix });
   }
 
   return text;
@@ -421,9 +747,12 @@ export const getLikePostText = (properties, likedUrl) => {
  * commentary + blog permalink (for webmentions), not the reposted URL.
  * @param {object} properties - JF2 properties
  * @param {string} repostUrl - The URL being reposted
+ * @param {object} [options] - Options
+ * @param {number} [options.limit] - Character limit (`Infinity` disables truncation)
  * @returns {string} Post text
  */
-export const getRepostPostText = (properties, repostUrl) => {
+export const getRepostPostText = (properties, repostUrl, options = {}) => {
+  const { limit = 300 } = options;
   let text = "";
 
   // Get the content/comment
@@ -451,12 +780,10 @@ export const getRepostPostText = (properties, repostUrl) => {
     text = `🔁 ${repostUrl}`;
   }
 
-  // Truncate if needed (Bluesky limit is 300 chars)
-  if (text.length > 300) {
+  // Truncate if needed (Bluesky limit is 300 graphemes)
+  if (!fitsLimit(text, { limit })) {
     const suffix = permalink ? `\n\n${permalink}` : `\n\n🔁 ${repostUrl}`;
-    const maxLen = 300 - suffix.length - 3;
-    const contentPart = text.replace(suffix, "").slice(0, maxLen).trim();
-    text = contentPart + "..." + suffix;
+    text = truncateText(text.replace(suffix, "").trim(), { limit, suffix });
   }
 
   return text;
@@ -468,9 +795,12 @@ export const getRepostPostText = (properties, repostUrl) => {
  * commentary + blog permalink (for webmentions), not the bookmarked URL.
  * @param {object} properties - JF2 properties
  * @param {string} bookmarkUrl - The URL being bookmarked
+ * @param {object} [options] - Options
+ * @param {number} [options.limit] - Character limit (`Infinity` disables truncation)
  * @returns {string} Post text
  */
-export const getBookmarkPostText = (properties, bookmarkUrl) => {
+export const getBookmarkPostText = (properties, bookmarkUrl, options = {}) => {
+  const { limit = 300 } = options;
   let text = "";
 
   // Get the content/comment
@@ -502,71 +832,22 @@ export const getBookmarkPostText = (properties, bookmarkUrl) => {
     text = `🔖 ${bookmarkUrl}`;
   }
 
-  // Truncate if needed (Bluesky limit is 300 chars)
-  if (text.length > 300) {
+  // Truncate if needed (Bluesky limit is 300 graphemes)
+  if (!fitsLimit(text, { limit })) {
     const suffix = permalink ? `\n\n${permalink}` : `\n\n🔖 ${bookmarkUrl}`;
-    const maxLen = 300 - suffix.length - 3;
-    const contentPart = text.replace(suffix, "").slice(0, maxLen).trim();
-    text = contentPart + "..." + suffix;
+    text = truncateText(text.replace(suffix, "").trim(), { limit, suffix });
   }
 
   return text;
 };
 
 /**
- * Constrain image buffer to be under 1MB
- * @param {Buffer} buffer - Image buffer
- * @param {number} maxBytes - Maximum byte length
- * @param {number} [quality] - Image quality
- * @returns {Promise<Buffer>} Compressed image
- */
-export async function constrainImage(buffer, maxBytes, quality = 90) {
-  const compressed = await sharp(buffer).jpeg({ quality }).toBuffer();
-  if (compressed.byteLength > maxBytes) {
-    return constrainImage(buffer, maxBytes, quality - 5);
-  }
-  return compressed;
-}
-
-/**
- * Compress image buffer to be under 1MB for Bluesky
- * @param {Buffer} buffer - Image buffer
- * @param {string} mimeType - Original MIME type
- * @returns {Promise<{buffer: Buffer, mimeType: string}>} Compressed image
- */
-export async function getPostImage(buffer, mimeType) {
-  const MAX_SIZE = 1_000_000; // Bluesky's upload limit is 1,000,000 bytes (not 1 MiB)
-  if (buffer.length < MAX_SIZE) {
-    return { buffer, mimeType };
-  }
-  const compressed = await constrainImage(buffer, MAX_SIZE);
-  return { buffer: compressed, mimeType: "image/jpeg" };
-}
-
-/**
- * Convert HTML to plain text, appending all link hrefs not already in text
+ * Convert HTML to status text.
+ * Links are kept as their text, which becomes a link facet.
  * @param {string} html - HTML
  * @returns {string} Text
  */
-export const htmlToStatusText = (html) => {
-  const hrefs = [...html.matchAll(/href="(https?:\/\/.+?)"/g)];
-  const urls = [...new Set(hrefs.map((h) => h[1]))];
-
-  const text = htmlToText(html, {
-    selectors: [
-      { selector: "a", options: { ignoreHref: true } },
-      { selector: "img", format: "skip" },
-    ],
-    wordwrap: false,
-  });
-
-  // Append URLs that aren't already visible in the text
-  const missingUrls = urls.filter((url) => !text.includes(url));
-  if (missingUrls.length > 0) {
-    return `${text}\n\n${missingUrls.join("\n")}`;
-  }
-  return text;
-};
+export const htmlToStatusText = (html) => htmlToPlainText(html).text;
 
 /**
  * Fetch OpenGraph metadata from a URL
@@ -623,10 +904,27 @@ export async function fetchOpenGraphData(url) {
       ogImage = new URL(ogImage, baseUrl.origin).href;
     }
 
+    // Used by generated default image
+    const siteName = doc
+      .querySelector('meta[property="og:site_name"]')
+      ?.getAttribute("content");
+    const author = [
+      doc.querySelector('meta[name="author"]')?.getAttribute("content"),
+      doc
+        .querySelector('meta[property="article:author"]')
+        ?.getAttribute("content"),
+    ].find((name) => name && !/^https?:\/\//.test(name));
+    const published = doc
+      .querySelector('meta[property="article:published_time"]')
+      ?.getAttribute("content");
+
     return {
       title: ogTitle.slice(0, 300), // Bluesky title limit
       description: ogDescription.slice(0, 1000), // Reasonable limit
       imageUrl: ogImage,
+      ...(siteName && { siteName }),
+      ...(author && { author }),
+      ...(published && { published }),
     };
   } catch (error) {
     console.error(`Failed to fetch OG data for ${url}:`, error.message);
@@ -634,6 +932,45 @@ export async function fetchOpenGraphData(url) {
   }
 }
 
+/**
+ * Fetch syndication URLs published on a page
+ * (`u-syndication` and `rel="syndication"` links)
+ * @param {string} url - URL of page
+ * @returns {Promise<Array<string>>} Syndication URLs
+ */
+export async function fetchSyndicationUrls(url) {
+  try {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 10000);
+    const response = await fetch(url, {
+      headers: {
+        "User-Agent":
+          "Mozilla/5.0 (compatible; Indiekit/1.0; +https://getindiekit.com)",
+        Accept: "text/html,application/xhtml+xml",
+      },
+      redirect: "follow",
+      signal: controller.signal,
+    });
+    clearTimeout(timeoutId);
+
+    if (!response.ok) {
+      return [];
+    }
+
+    const html = await response.text();
+    const cleanHtml = html.replace(/<style[\s\S]*?<\/style>/gi, "");
+    const dom = new JSDOM(cleanHtml, { url });
+    const links = dom.window.document.querySelectorAll(
+      '.u-syndication[href], [rel~="syndication"][href]',
+    );
+
+    return [...new Set([...links].map((link) => link.href))];
+  } catch (error) {
+    console.error(`Failed to fetch syndication URLs for ${url}:`, error.message);
+    return [];
+  }
+}
+
 /**
  * Extract URLs from text using a comprehensive regex
  * @param {string} text - Text to search for URLs
@@ -655,9 +992,10 @@ function extractUrlsFromText(text) {
  * Extract the primary URL from post properties
  * @param {object} properties - JF2 properties
  * @param {string} [ownDomain] - Own domain to deprioritize (e.g., "rmendes.net")
+ * @param {Array<string>} [excludeUrls] - URLs not to create card for (e.g. mentioned people)
  * @returns {string|null} Primary URL to create card for
  */
-export function getExternalUrl(properties, ownDomain) {
+export function getExternalUrl(properties, ownDomain, excludeUrls = []) {
   // For likes, use the liked URL
   if (properties["like-of"]) {
     return properties["like-of"];
@@ -697,7 +1035,7 @@ export function getExternalUrl(properties, ownDomain) {
   }
 
   // Deduplicate URLs
-  urls = [...new Set(urls)];
+  urls = [...new Set(urls)].filter((url) => !excludeUrls.includes(url));
 
   if (urls.length === 0) {
     return null;
@@ -0,0 +1,123 @@
+/**
+ * Bluesky video limits
+ */
+export const VIDEO_LIMITS = {
+  maxSize: 100_000_000, // Bytes
+  maxDuration: 180, // Seconds
+};
+
+/**
+ * MP4/QuickTime boxes that contain other boxes
+ */
+const CONTAINER_BOXES = new Set(["moov", "trak", "mdia", "minf", "stbl", "edts"]);
+
+/**
+ * Iterate over boxes in an MP4 buffer
+ * @param {Buffer} buffer - MP4 data
+ * @param {number} [start] - Start offset
+ * @param {number} [end] - End offset
+ * @yields {{type: string, start: number, end: number}} Box type and data range
+ */
+function* mp4Boxes(buffer, start = 0, end = buffer.length) {
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+
+    if (size < headerSize || offset + size > end) {
+      return;
+    }
+
+    yield { type, start: offset + headerSize, end: offset + size };
+
+    if (CONTAINER_BOXES.has(type)) {
+      yield* mp4Boxes(buffer, offset + headerSize, offset + size);
+    }
+
+    offset += size;
+  }
+}
+
+/**
+ * Get duration and dimensions of an MP4 (or QuickTime) video
+ * @param {Buffer} buffer - Video data
+ * @returns {{duration?: number, width?: number, height?: number}} Metadata
+ */
+export function getVideoMetadata(buffer) {
+  const metadata = {};
+
+  try {
+    for (const box of mp4Boxes(buffer)) {
+      const version = buffer.readUInt8(box.start);
+
+      if (box.type === "mvhd") {
+        const timescale =
+          version === 1
+            ? buffer.readUInt32BE(box.start + 20)
+            : buffer.readUInt32BE(box.start + 12);
+        const duration =
+          version === 1
+            ? Number(buffer.readBigUInt64BE(box.start + 24))
+            : buffer.readUInt32BE(box.start + 16);
+        if (timescale) {
+          metadata.duration = duration / timescale;
+        }
+      }
+
+      if (box.type === "tkhd" && !metadata.width) {
+        // Skip version, flags, times, track ID and duration
+        const matrixOffset = box.start + (version === 1 ? 52 : 40);
+        const width = buffer.readUInt32BE(matrixOffset + 36) / 65_536;
+        const height = buffer.readUInt32BE(matrixOffset + 40) / 65_536;
+
+        // Audio tracks have no dimensions
+        if (width && height) {
+          // Phones record portrait video as rotated landscape
+          const a = buffer.readInt32BE(matrixOffset);
+          const b = buffer.readInt32BE(matrixOffset + 4);
+          const rotated = a === 0 && b !== 0;
+
+          metadata.width = Math.round(rotated ? height : width);
+          metadata.height = Math.round(rotated ? width : height);
+        }
+      }
+    }
+  } catch {
+    // Not an MP4 container, or truncated data
+  }
+
+  return metadata;
+}
+
+/**
+ * Check video is within Bluesky limits
+ * @param {object} video - Video
+ * @param {number} video.size - Size in bytes
+ * @param {number} [video.duration] - Duration in seconds
+ * @param {string} url - Video URL (for error message)
+ */
+export function checkVideoLimits({ size, duration }, url) {
+  const { maxSize, maxDuration } = VIDEO_LIMITS;
+
+  if (size > maxSize) {
+    const megabytes = (size / 1_000_000).toFixed(1);
+    throw new Error(
+      `Video ${url} is ${megabytes}MB, larger than Bluesky’s ${maxSize / 1_000_000}MB limit`,
+    );
+  }
+
+  if (duration > maxDuration) {
+    throw new Error(
+      `Video ${url} is ${Math.round(duration)} seconds long, longer than Bluesky’s ${maxDuration} second limit`,
+    );
+  }
+}
@@ -0,0 +1,76 @@
+import { JSDOM } from "jsdom";
+
+/**
+ * Discover webmention endpoint of a URL
+ * @param {string} url - Target URL
+ * @returns {Promise<string|undefined>} Webmention endpoint URL
+ */
+export async function discoverWebmentionEndpoint(url) {
+  const response = await fetch(url, {
+    headers: {
+      "User-Agent":
+        "Mozilla/5.0 (compatible; Indiekit/1.0; +https://getindiekit.com)",
+    },
+    redirect: "follow",
+    signal: AbortSignal.timeout(10_000),
+  });
+
+  if (!response.ok) {
+    return;
+  }
+
+  // URL after any redirects
+  const baseUrl = response.url || url;
+
+  // HTTP Link header takes precedence over HTML
+  const link = response.headers.get("Link") || "";
+  for (const part of link.split(",")) {
+    const match = part.match(/<([^>]*)>\s*;\s*rel="?([^";]*)"?/);
+    if (match?.[2].split(/\s+/).includes("webmention")) {
+      return new URL(match[1], baseUrl).href;
+    }
+  }
+
+  const contentType = response.headers.get("Content-Type") || "";
+  if (!contentType.includes("html")) {
+    return;
+  }
+
+  const html = await response.text();
+  const cleanHtml = html.replace(/<style[\s\S]*?<\/style>/gi, "");
+  const dom = new JSDOM(cleanHtml, { url: baseUrl });
+  const element = dom.window.document.querySelector(
+    'link[rel~="webmention"][href], a[rel~="webmention"][href]',
+  );
+
+  return element ? element.href : undefined;
+}
+
+/**
+ * Send webmention
+ * @param {string} source - Source URL
+ * @param {string} target - Target URL
+ * @returns {Promise<string>} Webmention endpoint URL
+ */
+export async function sendWebmention(source, target) {
+  const endpoint = await discoverWebmentionEndpoint(target);
+  if (!endpoint) {
+    throw new Error(`No webmention endpoint found for ${target}`);
+  }
+
+  const response = await fetch(endpoint, {
+    method: "POST",
+    body: new URLSearchParams({ source, target }),
+    signal: AbortSignal.timeout(10_000),
+  });
+
+  if (!response.ok) {
+    const error = new Error(
+      `Webmention to ${target} rejected: ${response.status} ${response.statusText}`,
+    );
+    error.statusCode = response.status;
+    throw error;
+  }
+
+  return endpoint;
+}
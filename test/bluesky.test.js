@@ -0,0 +1,133 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { Bluesky } from "../lib/bluesky.js";
+import { byteLength, graphemeLength } from "../lib/length.js";
+import { UnsupportedUrlError } from "../lib/uri.js";
+
+/**
+ * Create Bluesky client with an agent that keeps written records
+ * @param {object} [options] - Bluesky options
+ * @returns {{bluesky: Bluesky, records: Array<object>}} Client and records
+ */
+const createBluesky = (options = {}) => {
+  const records = [];
+  const agent = {
+    did: "did:plc:me",
+    async getPost({ repo, rkey }) {
+      const uri = `at://${repo}/app.bsky.feed.post/${rkey}`;
+      return { uri, cid: "quoted", value: {} };
+    },
+    com: {
+      atproto: {
+        repo: {
+          async putRecord({ repo, collection, rkey, record }) {
+            records.push(record);
+            const uri = `at://${repo}/${collection}/${rkey}`;
+            return { data: { uri, cid: "new" } };
+          },
+        },
+      },
+    },
+  };
+
+  const bluesky = new Bluesky({
+    identifier: "me.bsky.social",
+    profileUrl: "https://bsky.app/profile/me.bsky.social",
+    serviceUrl: "https://bsky.social",
+    session: { getAgent: async () => agent },
+    ...options,
+  });
+
+  return { bluesky, records };
+};
+
+const quote = {
+  url: "https://me.example/notes/1",
+  "repost-of": "https://bsky.app/profile/did:plc:alice/post/3abc",
+  content: { html: `<p>${"word ".repeat(80)}</p>` },
+  category: ["indieweb", "bluesky", "syndication", "longtag".repeat(3)],
+};
+
+describe("Bluesky quote posts", () => {
+  it("Fit one post when long posts are threaded", async () => {
+    const { bluesky, records } = createBluesky({
+      threadLongPosts: true,
+      hashtags: "text",
+    });
+
+    await bluesky.post(quote, "https://me.example");
+
+    assert.equal(records.length, 1);
+    assert.equal(records[0].embed.$type, "app.bsky.embed.record");
+    assert.ok(graphemeLength(records[0].text) <= 300);
+    assert.ok(byteLength(records[0].text) <= 3000);
+  });
+
+  it("Truncate quote template when long posts are threaded", async () => {
+    const { bluesky, records } = createBluesky({
+      threadLongPosts: true,
+      templates: { quote: "{content}" },
+    });
+
+    await bluesky.post(quote, "https://me.example");
+
+    assert.equal(records.length, 1);
+    assert.equal(graphemeLength(records[0].text), 300);
+  });
+});
+
+describe("Bluesky threads", () => {
+  it("Link URLs longer than a post from shortened text", async () => {
+    // Own URLs aren’t shown as link cards
+    const url = `https://me.example/${"a".repeat(380)}`;
+    const { bluesky, records } = createBluesky({ threadLongPosts: true });
+
+    await bluesky.post(
+      {
+        url: "https://me.example/notes/1",
+        content: { text: `See ${url} for more.` },
+      },
+      "https://me.example",
+    );
+
+    assert.deepEqual(
+      records.map((record) => graphemeLength(record.text) <= 300),
+      [true, true, true],
+    );
+    assert.deepEqual(records[1].facets, [
+      {
+        index: { byteStart: 0, byteEnd: byteLength(records[1].text) },
+        features: [{ $type: "app.bsky.richtext.facet#link", uri: url }],
+      },
+    ]);
+  });
+});
+
+describe("Bluesky own records", () => {
+  it("Check record URLs belong to account", async () => {
+    const { bluesky } = createBluesky();
+
+    assert.equal(
+      await bluesky.isOwnRecord(
+        "https://bsky.app/profile/did:plc:me/post/3abc",
+      ),
+      true,
+    );
+    assert.equal(
+      await bluesky.isOwnRecord(
+        "https://bsky.app/profile/did:plc:alice/post/3abc",
+      ),
+      false,
+    );
+  });
+
+  it("Throw unsupported URL error for profile links", async () => {
+    const { bluesky } = createBluesky();
+
+    await assert.rejects(
+      bluesky.isOwnRecord("https://bsky.app/profile/did:plc:me"),
+      UnsupportedUrlError,
+    );
+  });
+});
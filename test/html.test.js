@@ -0,0 +1,90 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { htmlToPlainText } from "../lib/html.js";
+
+describe("htmlToPlainText", () => {
+  it("Returns empty text for empty HTML", () => {
+    assert.deepEqual(htmlToPlainText(""), { text: "", links: [] });
+    assert.deepEqual(htmlToPlainText(undefined), { text: "", links: [] });
+  });
+
+  it("Keeps paragraph and line breaks", () => {
+    const { text } = htmlToPlainText("<p>One</p><p>Two<br>lines</p>");
+
+    assert.equal(text, "One\n\nTwo\nlines");
+  });
+
+  it("Decodes entities and skips scripts and images", () => {
+    const { text } = htmlToPlainText(
+      '<p>A &amp; B <script>x()</script><img src="a.jpg" alt="i"></p>',
+    );
+
+    assert.equal(text, "A & B");
+  });
+
+  it("Renders unordered, ordered and nested lists", () => {
+    const { text } = htmlToPlainText(
+      "<ul><li>Apple</li><li>Pear<ul><li>Nashi</li></ul></li></ul>" +
+        "<ol><li>First</li><li>Second</li></ol>",
+    );
+
+    assert.equal(text, "• Apple\n• Pear\n  • Nashi\n\n1. First\n2. Second");
+  });
+
+  it("Renders blockquotes with quote markers", () => {
+    const { text } = htmlToPlainText(
+      "<blockquote><p>Quoted</p><p>Again</p></blockquote><p>After</p>",
+    );
+
+    assert.equal(text, "> Quoted\n>\n> Again\n\nAfter");
+  });
+
+  it("Keeps whitespace in preformatted text", () => {
+    const { text } = htmlToPlainText(
+      "<pre><code>let x = 1;\n  return x;</code></pre>",
+    );
+
+    assert.equal(text, "let x = 1;\n  return x;");
+  });
+
+  it("Strips footnote references and footnotes", () => {
+    const { text } = htmlToPlainText(
+      '<p>Text<sup id="fnref1"><a href="#fn1">1</a></sup> here</p>' +
+        '<section class="footnotes"><ol><li id="fn1">Note</li></ol></section>',
+    );
+
+    assert.equal(text, "Text here");
+  });
+
+  it("Reports ranges of linked text", () => {
+    const { text, links } = htmlToPlainText(
+      '<p>See <a href="/about" rel="me" class="h-card">my page</a> and ' +
+        '<a href="https://x.example/">x</a></p>',
+      { baseUrl: "https://me.example/notes/1" },
+    );
+
+    assert.equal(text, "See my page and x");
+    assert.deepEqual(links, [
+      {
+        url: "https://me.example/about",
+        rel: ["me"],
+        classes: ["h-card"],
+        hCard: true,
+        start: 4,
+        end: 11,
+        text: "my page",
+      },
+      {
+        url: "https://x.example/",
+        rel: [],
+        classes: [],
+        hCard: false,
+        start: 16,
+        end: 17,
+        text: "x",
+      },
+    ]);
+    assert.equal(text.slice(links[0].start, links[0].end), "my page");
+  });
+});
@@ -0,0 +1,87 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  byteLength,
+  fitsLimit,
+  graphemeLength,
+  splitGraphemes,
+  truncateText,
+} from "../lib/length.js";
+
+const family = "👩‍👩‍👧‍👦";
+
+describe("graphemeLength", () => {
+  it("Counts grapheme clusters, not code points", () => {
+    assert.equal(graphemeLength(`${family}é`), 2);
+    assert.deepEqual(splitGraphemes("a👍🏽b"), ["a", "👍🏽", "b"]);
+  });
+});
+
+describe("byteLength", () => {
+  it("Counts UTF-8 bytes", () => {
+    assert.equal(byteLength("a"), 1);
+    assert.equal(byteLength("é"), 2);
+    assert.equal(byteLength(family), 25);
+  });
+});
+
+describe("fitsLimit", () => {
+  it("Checks Bluesky limits by default", () => {
+    assert.equal(fitsLimit("x".repeat(300)), true);
+    assert.equal(fitsLimit("x".repeat(301)), false);
+  });
+
+  it("Checks bytes as well as graphemes", () => {
+    assert.equal(fitsLimit("é".repeat(5), { limit: 10, maxBytes: 9 }), false);
+  });
+
+  it("Disables limits with an infinite limit", () => {
+    assert.equal(fitsLimit("x".repeat(5000), { limit: Infinity }), true);
+  });
+});
+
+describe("truncateText", () => {
+  it("Leaves text that fits unchanged", () => {
+    assert.equal(truncateText("Short", { suffix: " (link)" }), "Short (link)");
+  });
+
+  it("Cuts between words", () => {
+    assert.equal(
+      truncateText("The quick brown fox jumps", { limit: 15 }),
+      "The quick…",
+    );
+  });
+
+  it("Doesn’t cut inside a URL", () => {
+    assert.equal(
+      truncateText("Read https://example.com/a/long/path now", { limit: 20 }),
+      "Read…",
+    );
+  });
+
+  it("Keeps suffix", () => {
+    assert.equal(
+      truncateText("Hello world again", { limit: 15, suffix: " https://x.co" }),
+      "H… https://x.co",
+    );
+  });
+
+  it("Doesn’t cut inside a grapheme cluster", () => {
+    assert.equal(
+      truncateText(family.repeat(5), { limit: 3 }),
+      `${family}${family}…`,
+    );
+  });
+
+  it("Fits byte limit", () => {
+    assert.equal(truncateText("ééééé", { limit: Infinity, maxBytes: 6 }), "é…");
+  });
+
+  it("Keeps text without spaces (e.g. Japanese)", () => {
+    assert.equal(
+      truncateText("短い日本語の文章です", { limit: 6 }),
+      "短い日本語…",
+    );
+  });
+});
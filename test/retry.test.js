@@ -0,0 +1,136 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { getErrorStatus, isIdempotent, withRetry } from "../lib/retry.js";
+
+const xrpc = (nsid) => `https://bsky.social/xrpc/${nsid}`;
+const json = (body) => new TextEncoder().encode(JSON.stringify(body));
+const options = { maxRetries: 2, baseDelay: 1, maxDelay: 10 };
+
+/**
+ * Create fetch function returning responses (or throwing errors) in turn
+ * @param {Array<number|Error>} results - Response status codes or errors
+ * @returns {Function} Fetch function, with `calls` count
+ */
+const createFetch = (results) => {
+  const fetch = async () => {
+    const result = results[fetch.calls++];
+    if (result instanceof Error) {
+      throw result;
+    }
+
+    return new Response("", { status: result });
+  };
+  fetch.calls = 0;
+  return fetch;
+};
+
+describe("isIdempotent", () => {
+  it("Treats reads as idempotent", () => {
+    assert.equal(isIdempotent(xrpc("app.bsky.feed.getPostThread")), true);
+  });
+
+  it("Treats creating records as not idempotent", () => {
+    const init = { method: "POST", body: json({ record: {} }) };
+
+    assert.equal(
+      isIdempotent(xrpc("com.atproto.repo.createRecord"), init),
+      false,
+    );
+  });
+
+  it("Treats putting and deleting records as idempotent", () => {
+    const init = { method: "POST", body: json({ rkey: "3abc", record: {} }) };
+
+    assert.equal(isIdempotent(xrpc("com.atproto.repo.putRecord"), init), true);
+    assert.equal(
+      isIdempotent(xrpc("com.atproto.repo.deleteRecord"), init),
+      true,
+    );
+  });
+
+  it("Treats conditional writes as not idempotent", () => {
+    const swapRecord = { method: "POST", body: json({ swapRecord: "cid" }) };
+    const swapCommit = {
+      method: "POST",
+      body: JSON.stringify({ swapCommit: "cid" }),
+    };
+
+    assert.equal(
+      isIdempotent(xrpc("com.atproto.repo.putRecord"), swapRecord),
+      false,
+    );
+    assert.equal(
+      isIdempotent(xrpc("com.atproto.repo.deleteRecord"), swapCommit),
+      false,
+    );
+  });
+});
+
+describe("withRetry", () => {
+  it("Retries server errors of idempotent requests", async () => {
+    const fetch = createFetch([503, 502, 200]);
+    const response = await withRetry(fetch, options)(xrpc("a.b.c"));
+
+    assert.equal(response.status, 200);
+    assert.equal(fetch.calls, 3);
+  });
+
+  it("Returns last response when out of retries", async () => {
+    const fetch = createFetch([503, 503, 503]);
+    const response = await withRetry(fetch, options)(xrpc("a.b.c"));
+
+    assert.equal(response.status, 503);
+    assert.equal(fetch.calls, 3);
+  });
+
+  it("Only retries rate-limited requests that aren’t idempotent", async () => {
+    const init = { method: "POST", body: json({ record: {} }) };
+    const url = xrpc("com.atproto.repo.createRecord");
+
+    const failing = createFetch([503]);
+    assert.equal((await withRetry(failing, options)(url, init)).status, 503);
+    assert.equal(failing.calls, 1);
+
+    const limited = createFetch([429, 200]);
+    assert.equal((await withRetry(limited, options)(url, init)).status, 200);
+    assert.equal(limited.calls, 2);
+  });
+
+  it("Doesn’t retry conditional writes that lost their response", async () => {
+    const fetch = createFetch([new TypeError("fetch failed"), 200]);
+    const init = { method: "POST", body: json({ swapRecord: "cid" }) };
+    const put = withRetry(fetch, options);
+
+    await assert.rejects(put(xrpc("com.atproto.repo.putRecord"), init), {
+      message: "fetch failed",
+    });
+    assert.equal(fetch.calls, 1);
+  });
+
+  it("Retries lost responses of unconditional writes", async () => {
+    const fetch = createFetch([new TypeError("fetch failed"), 200]);
+    const init = { method: "POST", body: json({ rkey: "3abc" }) };
+    const put = withRetry(fetch, options);
+
+    const response = await put(xrpc("com.atproto.repo.putRecord"), init);
+    assert.equal(response.status, 200);
+    assert.equal(fetch.calls, 2);
+  });
+});
+
+describe("getErrorStatus", () => {
+  it("Gets status of HTTP and XRPC errors", () => {
+    assert.equal(getErrorStatus({ statusCode: 415 }), 415);
+    assert.equal(getErrorStatus({ status: 400 }), 400);
+    assert.equal(
+      getErrorStatus(new Error("x", { cause: { status: 503 } })),
+      503,
+    );
+  });
+
+  it("Uses 502 if there was no response", () => {
+    assert.equal(getErrorStatus(new TypeError("fetch failed")), 502);
+    assert.equal(getErrorStatus({ status: 1 }), 502);
+  });
+});
@@ -0,0 +1,57 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { graphemeLength } from "../lib/length.js";
+import { getTemplateValues, renderTemplate } from "../lib/template.js";
+
+const longPost = {
+  url: "https://me.example/notes/1",
+  content: { text: "word ".repeat(200) },
+};
+
+describe("renderTemplate", () => {
+  it("Fills in placeholders", () => {
+    const values = getTemplateValues(
+      { name: "Hi", content: { text: "Short" } },
+      { hashtags: ["a", "b"] },
+    );
+
+    assert.equal(
+      renderTemplate("{name}: {content} {tags}", values),
+      "Hi: Short #a #b",
+    );
+  });
+
+  it("Truncates content of quote template to one post", () => {
+    const values = getTemplateValues(longPost, {
+      target: "https://bsky.app/profile/did:plc:alice/post/3abc",
+    });
+    const text = renderTemplate("{content}", values, { limit: 300 });
+
+    assert.equal(graphemeLength(text), 300);
+    assert.ok(text.endsWith("word…"));
+  });
+
+  it("Keeps permalink whole", () => {
+    const values = getTemplateValues(longPost);
+    const text = renderTemplate("{content}\n\n{permalink}", values);
+
+    assert.ok(graphemeLength(text) <= 300);
+    assert.ok(text.endsWith("…\n\nhttps://me.example/notes/1"));
+  });
+
+  it("Drops hashtags before shortening content", () => {
+    const values = getTemplateValues(longPost, { hashtags: ["a", "b"] });
+    const text = renderTemplate("{content} {tags}", values);
+
+    assert.ok(graphemeLength(text) <= 300);
+    assert.ok(!text.includes("#"));
+  });
+
+  it("Doesn’t truncate with an infinite limit", () => {
+    const values = getTemplateValues(longPost);
+    const text = renderTemplate("{content}", values, { limit: Infinity });
+
+    assert.equal(text, longPost.content.text.trim());
+  });
+});
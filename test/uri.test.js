@@ -0,0 +1,236 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  UnsupportedUrlError,
+  isBlueskyUrl,
+  parseBlueskyUrl,
+  parseProfileUrl,
+  resolveActor,
+  resolveRecordUrl,
+} from "../lib/uri.js";
+
+/**
+ * Create agent resolving handles to DIDs
+ * @param {Function} [resolve] - Resolve handle (throw to fail)
+ * @returns {object} Agent, with `calls` count
+ */
+const createClient = (
+  resolve = (handle) => `did:plc:${handle.split(".")[0]}`,
+) => {
+  const client = {
+    calls: 0,
+    com: {
+      atproto: {
+        identity: {
+          async resolveHandle({ handle }) {
+            client.calls++;
+            return { data: { did: resolve(handle) } };
+          },
+        },
+      },
+    },
+  };
+  return client;
+};
+
+describe("isBlueskyUrl", () => {
+  it("Checks URLs of Bluesky web apps and AT URIs", () => {
+    assert.equal(isBlueskyUrl("https://bsky.app/profile/alice.test"), true);
+    assert.equal(isBlueskyUrl("https://www.bsky.app/profile/alice.test"), true);
+    assert.equal(isBlueskyUrl("at://did:plc:alice"), true);
+    assert.equal(isBlueskyUrl("https://example.com/profile/alice"), false);
+    assert.equal(isBlueskyUrl("not a url"), false);
+    assert.equal(isBlueskyUrl(undefined), false);
+  });
+
+  it("Checks URLs of given hosts", () => {
+    const hosts = ["bsky.example"];
+
+    assert.equal(isBlueskyUrl("https://bsky.example/profile/a", hosts), true);
+    assert.equal(isBlueskyUrl("https://bsky.app/profile/a", hosts), false);
+  });
+});
+
+describe("parseBlueskyUrl", () => {
+  it("Parses post, like and repost URLs", () => {
+    assert.deepEqual(
+      parseBlueskyUrl("https://bsky.app/profile/alice.test/post/3abc"),
+      { actor: "alice.test", collection: "app.bsky.feed.post", rkey: "3abc" },
+    );
+    assert.equal(
+      parseBlueskyUrl("https://bsky.app/profile/a/like/3abc").collection,
+      "app.bsky.feed.like",
+    );
+    assert.equal(
+      parseBlueskyUrl("https://bsky.app/profile/a/repost/3abc").collection,
+      "app.bsky.feed.repost",
+    );
+  });
+
+  it("Parses feed, list and starter pack URLs", () => {
+    assert.equal(
+      parseBlueskyUrl("https://bsky.app/profile/a/feed/f").collection,
+      "app.bsky.feed.generator",
+    );
+    assert.equal(
+      parseBlueskyUrl("https://bsky.app/profile/a/lists/l").collection,
+      "app.bsky.graph.list",
+    );
+    assert.equal(
+      parseBlueskyUrl("https://bsky.app/profile/a/starter-pack/s").collection,
+      "app.bsky.graph.starterpack",
+    );
+  });
+
+  it("Parses URLs with DIDs, query strings and fragments", () => {
+    assert.deepEqual(
+      parseBlueskyUrl(
+        "https://bsky.app/profile/did%3Aplc%3Aalice/post/3abc?ref=x#top",
+      ),
+      {
+        actor: "did:plc:alice",
+        collection: "app.bsky.feed.post",
+        rkey: "3abc",
+      },
+    );
+  });
+
+  it("Parses AT URIs", () => {
+    assert.deepEqual(
+      parseBlueskyUrl("at://did:plc:alice/app.bsky.feed.post/3abc#x"),
+      {
+        actor: "did:plc:alice",
+        collection: "app.bsky.feed.post",
+        rkey: "3abc",
+      },
+    );
+  });
+
+  it("Throws for URLs that aren’t records", () => {
+    for (const url of [
+      "https://bsky.app/profile/alice.test",
+      "https://bsky.app/profile/alice.test/post",
+      "https://bsky.app/search?q=x",
+      "https://example.com/profile/alice.test/post/3abc",
+      "at://did:plc:alice",
+      "at://did:plc:alice/post/3abc",
+      undefined,
+    ]) {
+      assert.throws(() => parseBlueskyUrl(url), UnsupportedUrlError, url);
+    }
+  });
+
+  it("Parses URLs of given hosts", () => {
+    const url = "https://bsky.example/profile/a/post/3abc";
+
+    assert.equal(parseBlueskyUrl(url, ["bsky.example"]).rkey, "3abc");
+    assert.throws(() => parseBlueskyUrl(url), { statusCode: 400 });
+  });
+});
+
+describe("parseProfileUrl", () => {
+  it("Gets actor from profile URLs", () => {
+    assert.equal(
+      parseProfileUrl("https://bsky.app/profile/alice.test/"),
+      "alice.test",
+    );
+    assert.equal(
+      parseProfileUrl("https://bsky.app/profile/did%3Aplc%3Aalice"),
+      "did:plc:alice",
+    );
+  });
+
+  it("Ignores other URLs", () => {
+    assert.equal(
+      parseProfileUrl("https://bsky.app/profile/alice.test/post/3abc"),
+      undefined,
+    );
+    assert.equal(parseProfileUrl("https://bsky.app/search"), undefined);
+    assert.equal(parseProfileUrl("at://did:plc:alice"), undefined);
+    assert.equal(parseProfileUrl("https://example.com/profile/a"), undefined);
+  });
+});
+
+describe("resolveActor", () => {
+  it("Returns DIDs as they are", async () => {
+    const client = createClient();
+
+    assert.equal(await resolveActor(client, "did:plc:alice"), "did:plc:alice");
+    assert.equal(client.calls, 0);
+  });
+
+  it("Resolves handles once", async () => {
+    const client = createClient();
+
+    assert.equal(await resolveActor(client, "@Bob.test"), "did:plc:bob");
+    assert.equal(await resolveActor(client, "bob.test"), "did:plc:bob");
+    assert.equal(client.calls, 1);
+  });
+
+  it("Doesn’t keep failed resolutions", async () => {
+    const failing = createClient(() => {
+      throw new Error("offline");
+    });
+
+    await assert.rejects(resolveActor(failing, "carol.test"), /offline/);
+    assert.equal(
+      await resolveActor(createClient(), "carol.test"),
+      "did:plc:carol",
+    );
+  });
+});
+
+describe("resolveRecordUrl", () => {
+  it("Resolves URL to AT URI", async () => {
+    const record = await resolveRecordUrl(
+      createClient(),
+      "https://bsky.app/profile/dave.test/post/3abc",
+    );
+
+    assert.deepEqual(record, {
+      did: "did:plc:dave",
+      collection: "app.bsky.feed.post",
+      rkey: "3abc",
+      uri: "at://did:plc:dave/app.bsky.feed.post/3abc",
+    });
+  });
+
+  it("Throws for records of other collections", async () => {
+    await assert.rejects(
+      resolveRecordUrl(
+        createClient(),
+        "https://bsky.app/profile/did:plc:a/like/3abc",
+        { collection: "app.bsky.feed.post" },
+      ),
+      UnsupportedUrlError,
+    );
+  });
+
+  it("Throws unsupported URL error for handles that don’t exist", async () => {
+    const client = createClient(() => {
+      throw Object.assign(new Error("Unable to resolve handle"), {
+        status: 400,
+      });
+    });
+
+    await assert.rejects(
+      resolveRecordUrl(client, "https://bsky.app/profile/erin.test/post/3a"),
+      UnsupportedUrlError,
+    );
+  });
+
+  it("Rethrows other resolution errors", async () => {
+    const error = Object.assign(new Error("Service unavailable"), {
+      status: 503,
+    });
+    const client = createClient(() => {
+      throw error;
+    });
+
+    await assert.rejects(
+      resolveRecordUrl(client, "https://bsky.app/profile/fay.test/post/3a"),
+      (thrown) => thrown === error,
+    );
+  });
+});
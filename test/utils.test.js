@@ -0,0 +1,275 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { fitsLimit, graphemeLength } from "../lib/length.js";
+import { htmlToPlainText } from "../lib/html.js";
+import {
+  buildLinkFacets,
+  categoryToHashtag,
+  createRichText,
+  extractHtmlLinks,
+  getHashtags,
+  getLinkRanges,
+  linkRangesToFacets,
+  shortenLongUrls,
+  sliceLinkRanges,
+  splitTextIntoThread,
+} from "../lib/utils.js";
+
+const longUrl = `https://example.com/${"a".repeat(380)}`;
+
+describe("splitTextIntoThread", () => {
+  it("Leaves text that fits in one post", () => {
+    assert.deepEqual(splitTextIntoThread("Short post"), ["Short post"]);
+  });
+
+  it("Splits at paragraphs", () => {
+    const first = `First paragraph. ${"a ".repeat(100).trim()}`;
+    const second = `Second paragraph. ${"b ".repeat(100).trim()}`;
+
+    assert.deepEqual(splitTextIntoThread(`${first}\n\n${second}`), [
+      first,
+      second,
+    ]);
+  });
+
+  it("Splits at sentences", () => {
+    const text = "This is a sentence. ".repeat(20).trim();
+    const posts = splitTextIntoThread(text);
+
+    assert.equal(posts.length, 2);
+    assert.ok(posts.every((post) => post.endsWith("sentence.")));
+    assert.equal(posts.join(" "), text);
+  });
+
+  it("Appends counters within limit", () => {
+    const text = "This is a sentence. ".repeat(20).trim();
+    const posts = splitTextIntoThread(text, { counters: true });
+
+    assert.equal(posts.length, 2);
+    assert.ok(posts[0].endsWith("sentence.\n1/2"));
+    assert.ok(posts[1].endsWith("sentence.\n2/2"));
+    assert.ok(posts.every((post) => fitsLimit(post)));
+  });
+
+  it("Doesn’t split URLs that fit in a post", () => {
+    const url = `https://example.com/${"b".repeat(250)}`;
+    const posts = splitTextIntoThread(`${"word ".repeat(30)}${url} end`);
+
+    assert.equal(posts.length, 2);
+    assert.ok(posts[1].startsWith(url));
+    assert.ok(posts.every((post) => fitsLimit(post)));
+  });
+
+  it("Puts URLs longer than a post in a post of their own", () => {
+    const posts = splitTextIntoThread(`See ${longUrl} for more.`);
+
+    assert.deepEqual(posts, ["See", longUrl, "for more."]);
+  });
+
+  it("Cuts words longer than a post, but not URLs in them", () => {
+    const url = `https://example.com/${"b".repeat(250)}`;
+    const posts = splitTextIntoThread(`${"x".repeat(350)}(${url})`);
+
+    assert.deepEqual(
+      posts.map((post) => graphemeLength(post)),
+      [300, 51, 271],
+    );
+    assert.equal(posts[2], `${url})`);
+  });
+});
+
+describe("shortenLongUrls", () => {
+  it("Leaves text that fits unchanged", () => {
+    const text = "See https://example.com/page";
+
+    assert.deepEqual(shortenLongUrls(text), { text, ranges: [] });
+  });
+
+  it("Shortens URLs longer than a post, keeping link to whole URL", () => {
+    const { text, ranges } = shortenLongUrls(`${longUrl}\n2/3`);
+
+    assert.equal(graphemeLength(text), 300);
+    assert.ok(text.startsWith("example.com/aaa"));
+    assert.ok(text.endsWith("a…\n2/3"));
+    assert.deepEqual(ranges, [
+      { start: 0, end: 296, link: { text: text.slice(0, 296), url: longUrl } },
+    ]);
+  });
+});
+
+describe("categoryToHashtag", () => {
+  it("Joins words in PascalCase", () => {
+    assert.equal(categoryToHashtag("indie web"), "IndieWeb");
+    assert.equal(categoryToHashtag("a-b_c"), "ABC");
+  });
+
+  it("Keeps case of single words", () => {
+    assert.equal(categoryToHashtag("#IndieWeb"), "IndieWeb");
+    assert.equal(categoryToHashtag("café"), "café");
+    assert.equal(categoryToHashtag("हिन्दी"), "हिन्दी");
+  });
+
+  it("Leaves out apostrophes", () => {
+    assert.equal(categoryToHashtag("don’t panic"), "DontPanic");
+  });
+
+  it("Skips categories changed by leaving out punctuation", () => {
+    assert.equal(categoryToHashtag("c++"), undefined);
+    assert.equal(categoryToHashtag("C#"), undefined);
+    assert.equal(categoryToHashtag("rock & roll"), undefined);
+  });
+
+  it("Skips URLs and categories without letters", () => {
+    assert.equal(categoryToHashtag("https://alice.example/"), undefined);
+    assert.equal(categoryToHashtag("2024"), undefined);
+    assert.equal(categoryToHashtag(["list"]), undefined);
+  });
+});
+
+describe("getHashtags", () => {
+  it("Skips categories with the same hashtag in another case", () => {
+    const category = ["IndieWeb", "indie web", "indieweb", "Photos"];
+
+    assert.deepEqual(getHashtags({ category }), ["IndieWeb", "Photos"]);
+  });
+
+  it("Skips categories that can’t be hashtags", () => {
+    const category = ["c++", "https://alice.example/", "cats"];
+
+    assert.deepEqual(getHashtags({ category }), ["cats"]);
+  });
+
+  it("Only includes allowed categories, in any case", () => {
+    const category = ["IndieWeb", "photos", "cats"];
+
+    assert.deepEqual(
+      getHashtags({ category }, { allow: ["indie web", "Cats"] }),
+      ["IndieWeb", "cats"],
+    );
+  });
+
+  it("Never includes denied categories, in any case", () => {
+    const category = ["IndieWeb", "photos"];
+
+    assert.deepEqual(getHashtags({ category }, { deny: ["indieweb"] }), [
+      "photos",
+    ]);
+  });
+});
+
+describe("link facets", () => {
+  const client = {
+    com: {
+      atproto: {
+        identity: {
+          async resolveHandle({ handle }) {
+            return { data: { did: `did:plc:${handle.split(".")[0]}` } };
+          },
+        },
+      },
+    },
+  };
+
+  /**
+   * Get rich text of HTML, with link facets
+   * @param {string} html - HTML
+   * @param {object} [dids] - DIDs of people, keyed by link URL
+   * @returns {Promise<object>} Rich text
+   */
+  const toRichText = (html, dids = {}) => {
+    const { text } = htmlToPlainText(html);
+    const links = extractHtmlLinks(html).map((link) => ({
+      ...link,
+      did: dids[link.url],
+    }));
+    return createRichText(client, text, buildLinkFacets(text, links));
+  };
+
+  /**
+   * Get byte ranges and values of facets
+   * @param {Array<object>} facets - Facets
+   * @returns {Array<Array>} Start, end and URI, DID or tag of each facet
+   */
+  const describeFacets = (facets) =>
+    facets.map(({ index, features: [feature] }) => [
+      index.byteStart,
+      index.byteEnd,
+      feature.uri || feature.did || feature.tag,
+    ]);
+
+  /**
+   * Check facets don’t overlap
+   * @param {Array<object>} facets - Facets (sorted by start)
+   */
+  const assertNoOverlaps = (facets) => {
+    for (const [index, facet] of facets.entries()) {
+      const next = facets[index + 1];
+      assert.ok(!next || facet.index.byteEnd <= next.index.byteStart);
+    }
+  };
+
+  it("Links repeated link text where it was linked", async () => {
+    const { text, facets } = await toRichText(
+      '<p>Read <a href="https://a.example/">docs</a> and the other docs ' +
+        'and <a href="https://b.example/">docs</a></p>',
+    );
+
+    assert.equal(text, "Read docs and the other docs and docs");
+    assert.deepEqual(describeFacets(facets), [
+      [5, 9, "https://a.example/"],
+      [33, 37, "https://b.example/"],
+    ]);
+    assertNoOverlaps(facets);
+  });
+
+  it("Keeps link over a bare URL in its text", async () => {
+    const { facets } = await toRichText(
+      '<p>See <a href="https://a.example/page">the page at ' +
+        "https://b.example/page today</a></p>",
+    );
+
+    assert.deepEqual(describeFacets(facets), [
+      [4, 44, "https://a.example/page"],
+    ]);
+    assertNoOverlaps(facets);
+  });
+
+  it("Keeps link over a mention in its text", async () => {
+    const { facets } = await toRichText(
+      '<p><a href="https://a.example/">Thanks @alice.bsky.social for ' +
+        "this</a> #tag</p>",
+    );
+
+    assert.deepEqual(describeFacets(facets), [
+      [0, 34, "https://a.example/"],
+      [35, 39, "tag"],
+    ]);
+    assertNoOverlaps(facets);
+  });
+
+  it("Replaces detected facets with mentions of linked people", async () => {
+    const { facets } = await toRichText(
+      '<p>Hi <a href="https://alice.example/">@alice.bsky.social</a></p>',
+      { "https://alice.example/": "did:plc:alice-site" },
+    );
+
+    assert.deepEqual(describeFacets(facets), [[3, 21, "did:plc:alice-site"]]);
+    assertNoOverlaps(facets);
+  });
+
+  it("Clips links to posts of a thread", () => {
+    const html =
+      '<p>Start <a href="https://a.example/">linked words</a> end</p>';
+    const { text } = htmlToPlainText(html);
+    const ranges = getLinkRanges(text, extractHtmlLinks(html));
+    const part = text.slice(0, 12);
+
+    assert.deepEqual(
+      describeFacets(
+        linkRangesToFacets(part, sliceLinkRanges(ranges, 0, part.length)),
+      ),
+      [[6, 12, "https://a.example/"]],
+    );
+  });
+});